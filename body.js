@@ -0,0 +1,232 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Reading request bodies in the server, before they're sent to a runner.
+ * Multipart bodies are parsed as they arrive, and large files are spooled to
+ * temporary files rather than kept in memory. */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const multipart = require("./multipart.js");
+
+/**
+ * Default limits. 0 means no limit.
+ */
+const defaultLimits = {
+    maxBodySize: 0,
+    maxFileSize: 0,
+    maxParts: 1000,
+    spoolSize: 1024*1024
+};
+
+/**
+ * Create an error for a body which is too large
+ * @internal
+ */
+function tooLarge(msg) {
+    const ex = new Error(msg);
+    ex.status = 413;
+    return ex;
+}
+
+/**
+ * Get the body limits from a server configuration
+ * @param config    The configuration
+ */
+function limits(config) {
+    const ret = {};
+    for (const key in defaultLimits)
+        ret[key] = (typeof config[key] === "number") ? config[key] : defaultLimits[key];
+    ret.tmpDir = config.tmpDir || os.tmpdir();
+    return ret;
+}
+
+/**
+ * Read a request's body. Calls back with an error (with a status of 400 or
+ * 413) or {b: body as a binary string} or, for multipart bodies, {m: parts},
+ * where each part is {name, filename, type, headers, size}, plus either data
+ * (a binary string) or path (a temporary file). In either case, the result
+ * also has files, a list of temporary files to delete when the request is
+ * done.
+ * @param req       The request
+ * @param {Object} lim      Limits, from limits()
+ * @param {Function} cb     Callback
+ */
+function read(req, lim, cb) {
+    const contentType = req.headers["content-type"] || "";
+    const boundary = /^multipart\//i.test(contentType) ?
+        multipart.getBoundary(contentType) : null;
+    const files = [];
+    const chunks = [];
+    let parser = null;
+    let parts = null;
+    let size = 0;
+    let pending = 0;
+    let ended = false;
+    let done = false;
+
+    function finish(err, ret) {
+        if (done)
+            return;
+        done = true;
+        if (err) {
+            // Stop reading, and throw away what we have
+            req.removeListener("data", onData);
+            req.resume();
+            for (const part of (parts || [])) {
+                if (part.stream)
+                    part.stream.destroy();
+            }
+            cleanup(files);
+            return cb(err);
+        }
+        ret.files = files;
+        cb(null, ret);
+    }
+
+    const declared = +req.headers["content-length"];
+    if (lim.maxBodySize && declared > lim.maxBodySize)
+        return finish(tooLarge("Request body too large"));
+
+    // Simple bodies are just gathered up, but multipart bodies are parsed
+    if (boundary) {
+        parts = [];
+        let cur = null;
+        parser = new multipart.Parser(boundary, {
+            part: desc => {
+                if (lim.maxParts && parts.length >= lim.maxParts)
+                    throw tooLarge("Too many parts in request body");
+                cur = Object.assign({size: 0, chunks: [], stream: null}, desc);
+                parts.push(cur);
+            },
+            data: chunk => {
+                cur.size += chunk.length;
+                if (cur.filename !== null && lim.maxFileSize && cur.size > lim.maxFileSize)
+                    throw tooLarge("Uploaded file too large");
+
+                if (cur.stream) {
+                    write(cur, chunk);
+                } else if (cur.filename !== null && cur.size > lim.spoolSize) {
+                    // Too big to keep in memory, so spool it
+                    spool(cur);
+                    write(cur, Buffer.concat(cur.chunks.concat([chunk])));
+                    cur.chunks = null;
+                } else {
+                    cur.chunks.push(chunk);
+                }
+            },
+            partEnd: () => {
+                if (cur.stream) {
+                    pending++;
+                    cur.stream.end(() => {
+                        // It may have ended while waiting to drain
+                        req.resume();
+                        pending--;
+                        check();
+                    });
+                }
+                cur = null;
+            }
+        });
+    }
+
+    // Spool a part to a temporary file
+    function spool(part) {
+        part.path = path.join(lim.tmpDir,
+            "njsp-" + crypto.randomBytes(12).toString("hex"));
+        files.push(part.path);
+        part.stream = fs.createWriteStream(part.path, {flags: "wx", mode: 0o600});
+        part.stream.on("error", err => {
+            err.status = 500;
+            finish(err);
+        });
+        part.stream.on("drain", () => req.resume());
+    }
+
+    // Write to a spooled part, pausing the request if the disk can't keep up
+    function write(part, chunk) {
+        if (!part.stream.write(chunk))
+            req.pause();
+    }
+
+    function onData(chunk) {
+        size += chunk.length;
+        if (lim.maxBodySize && size > lim.maxBodySize)
+            return finish(tooLarge("Request body too large"));
+        if (!parser) {
+            chunks.push(chunk);
+            return;
+        }
+        try {
+            parser.write(chunk);
+        } catch (ex) {
+            finish(ex);
+        }
+    }
+
+    // Finish once the body is over and any spooled files are written
+    function check() {
+        if (!ended || pending || done)
+            return;
+        if (!parser)
+            return finish(null, {b: Buffer.concat(chunks).toString("binary")});
+
+        finish(null, {m: parts.map(part => {
+            const ret = {
+                name: part.name,
+                filename: part.filename,
+                type: part.type,
+                headers: part.headers,
+                size: part.size
+            };
+            if (part.path)
+                ret.path = part.path;
+            else
+                ret.data = Buffer.concat(part.chunks).toString("binary");
+            return ret;
+        })});
+    }
+
+    req.on("data", onData);
+    req.on("end", () => {
+        if (done)
+            return;
+        if (parser) {
+            try {
+                parser.end();
+            } catch (ex) {
+                return finish(ex);
+            }
+        }
+        ended = true;
+        check();
+    });
+    req.on("error", err => finish(err));
+}
+
+/**
+ * Delete temporary files from a request
+ * @param {string[]} files  The files
+ */
+function cleanup(files) {
+    for (const file of files)
+        fs.unlink(file, () => {});
+}
+
+module.exports = {limits, read, cleanup};
@@ -0,0 +1,218 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Parsing of request bodies (other than multipart, which the server does) and
+ * query strings, in the runners. */
+
+const querystring = require("querystring");
+
+const multipart = require("./multipart.js");
+
+/**
+ * Deepest nesting of a[b][c] keys we'll follow
+ */
+const maxDepth = 8;
+
+/**
+ * Keys which must never be assigned, as they could change prototypes
+ */
+const unsafeKeys = {"__proto__": true, "constructor": true, "prototype": true};
+
+/**
+ * Decode text in the given character set
+ * @param {Buffer} buf      The text
+ * @param {string} [charset]    The character set (default UTF-8)
+ */
+function decodeText(buf, charset) {
+    // TextDecoder knows all the charsets we care about, and strips any BOM
+    return new TextDecoder(charset || "utf-8").decode(buf);
+}
+
+/**
+ * Split a key like a[b][] into its parts, ["a", "b", ""]
+ * @internal
+ */
+function splitKey(key) {
+    const m = /^([^\[\]]+)((?:\[[^\[\]]*\])*)$/.exec(key);
+    if (!m || !m[2])
+        return [key];
+    const ret = [m[1]].concat(m[2].slice(1, -1).split("]["));
+    return (ret.length > maxDepth + 1) ? [key] : ret;
+}
+
+/**
+ * Assign a value to a nested key in an object
+ * @internal
+ */
+function assignNested(obj, keys, value) {
+    let target = obj;
+    for (let i = 0; i < keys.length; i++) {
+        let key = keys[i];
+        if (unsafeKeys[key])
+            return;
+        if (target instanceof Array) {
+            if (key !== "")
+                return;
+            key = target.length;
+        } else if (key === "") {
+            // [] on something that isn't an array
+            return;
+        }
+
+        if (i === keys.length - 1) {
+            // The value itself. Repeated plain keys make arrays, as in querystring.
+            const prev = target[key];
+            if (typeof prev === "undefined")
+                target[key] = value;
+            else if (prev instanceof Array)
+                prev.push(value);
+            else if (typeof prev === "string")
+                target[key] = [prev, value];
+            return;
+        }
+
+        // A container
+        const wantArray = (keys[i+1] === "");
+        let next = target[key];
+        if (typeof next === "undefined") {
+            next = target[key] = wantArray ? [] : Object.create(null);
+        } else if (typeof next === "string" && wantArray) {
+            next = target[key] = [next];
+        } else if (typeof next !== "object" || (next instanceof Array) !== wantArray) {
+            return;
+        }
+        target = next;
+    }
+}
+
+/**
+ * Build an object from name/value pairs, nesting names like a[b][]
+ * @param pairs     An iterable of [name, value] pairs
+ */
+function nest(pairs) {
+    const ret = Object.create(null);
+    for (const [name, value] of pairs)
+        assignNested(ret, splitKey(name), value);
+    return ret;
+}
+
+/**
+ * Parse a query string (or urlencoded body)
+ * @param {string} str      The query string
+ * @param {boolean} [nested]    Whether to nest names like a[b][] (default false)
+ */
+function parseQuery(str, nested) {
+    str = str || "";
+    if (!nested)
+        return querystring.parse(str);
+    return nest(new URLSearchParams(str));
+}
+
+/**
+ * Make a regular expression from a content type pattern, such as
+ * application/*+json
+ * @param {string} pattern  The pattern
+ */
+function typePattern(pattern) {
+    return new RegExp("^" + String(pattern).toLowerCase().split("*").map(part =>
+        part.replace(/[.+?^${}()|[\]\\/]/g, "\\$&")).join("[^/]*") + "$");
+}
+
+/**
+ * The built-in parsers. Each is called with the body as a Buffer and
+ * information on the body, and returns the parsed body.
+ */
+const builtins = [
+    {type: "application/json", parse: (body, info) => JSON.parse(info.text())},
+    {type: "application/*+json", parse: (body, info) => JSON.parse(info.text())},
+    {
+        type: "application/x-www-form-urlencoded",
+        parse: (body, info) => parseQuery(info.text(), info.nested)
+    },
+    {
+        type: "multipart/*",
+        parse: () => {
+            // Only if the server couldn't parse it
+            throw new Error("Multipart body without a boundary");
+        }
+    },
+    {type: "text/*", parse: (body, info) => info.text()}
+];
+
+/**
+ * Make the list of parsers, with those given by the application (a map of
+ * type patterns to parser functions, in order) taking precedence over the
+ * built-in ones
+ * @param {Object} [custom]     The application's parsers
+ */
+function makeParsers(custom) {
+    const ret = [];
+    for (const type in (custom || {}))
+        ret.push({type, parse: custom[type]});
+    return ret.concat(builtins).map(p => ({re: typePattern(p.type), parse: p.parse}));
+}
+
+/**
+ * Fill in request.body (and request.bodyException) lazily, so that the body
+ * is only parsed if it's used
+ * @param req       The request, with bodyRaw
+ * @param {Function} getParsers Function to get the parsers (from
+ *                              makeParsers), called only if needed
+ * @param {Object} [opts]   Options:
+ *      nested: Whether to nest urlencoded names (default false)
+ */
+function lazyBody(req, getParsers, opts) {
+    opts = opts || {};
+    const contentType = req.headers["content-type"] || "text/plain";
+    const type = contentType.split(";")[0].trim().toLowerCase();
+    const params = multipart.parseParams(contentType);
+    let state = null;
+
+    function parse() {
+        if (state)
+            return state;
+        state = {body: undefined, exception: undefined};
+        try {
+            const parser = getParsers().find(p => p.re.test(type));
+            if (parser) {
+                state.body = parser.parse(req.bodyRaw, {
+                    type,
+                    charset: params.charset || null,
+                    params,
+                    nested: !!opts.nested,
+                    request: req,
+                    text: () => decodeText(req.bodyRaw, params.charset)
+                });
+            }
+        } catch (ex) {
+            state.exception = ex;
+        }
+        return state;
+    }
+
+    for (const [prop, field] of [["body", "body"], ["bodyException", "exception"]]) {
+        Object.defineProperty(req, prop, {
+            configurable: true,
+            enumerable: true,
+            get: () => parse()[field],
+            set: value => {
+                parse()[field] = value;
+            }
+        });
+    }
+}
+
+module.exports = {decodeText, nest, parseQuery, typePattern, makeParsers, lazyBody};
@@ -0,0 +1,162 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Checking of JSS files before they're served, for `njsp check`. */
+
+const fs = require("fs");
+const path = require("path");
+
+const parser = require("./parser.js");
+
+/**
+ * Calls to include, compile or extend with a constant file name
+ */
+const includeRE = /(?<![\w$.])(include|compile|extend)\s*\(\s*(["'])([^"'\\\n]*)\2\s*[,)]/g;
+
+/**
+ * Find all the JSS files under this directory, in order
+ * @internal
+ * @param {string} dir      The directory
+ * @param {string[]} files  Array to add the files to
+ * @param {Object} seen     Directories already searched, by real path
+ */
+function findFiles(dir, files, seen) {
+    let real;
+    try {
+        real = fs.realpathSync(dir);
+    } catch (ex) {
+        return;
+    }
+    if (seen[real])
+        return;
+    seen[real] = true;
+
+    for (const name of fs.readdirSync(dir).sort()) {
+        if (name[0] === "." || name === "node_modules")
+            continue;
+        const full = path.join(dir, name);
+        let sbuf;
+        try {
+            sbuf = fs.statSync(full);
+        } catch (ex) {
+            continue;
+        }
+        if (sbuf.isDirectory())
+            findFiles(full, files, seen);
+        else if (sbuf.isFile() && /\.jss$/i.test(name))
+            files.push(full);
+    }
+}
+
+/**
+ * Make a problem report from an error in this file
+ * @internal
+ */
+function problem(fname, ex) {
+    return {
+        file: fname,
+        line: ex.line || null,
+        column: ex.column || null,
+        message: ex.reason || ex.message
+    };
+}
+
+/**
+ * Check a single JSS file
+ * @internal
+ * @param {string} fname        The file
+ * @param {Object} opts         Options, as for check
+ * @param {Object[]} problems   Array to add any problems to
+ */
+function checkFile(fname, opts, problems) {
+    let fcont;
+    try {
+        fcont = fs.readFileSync(fname, "utf8");
+    } catch (ex) {
+        problems.push({file: fname, line: null, column: null, message: ex.message});
+        return;
+    }
+    const sourceLines = parser.lineStarts(fcont);
+
+    // Parse and compile it exactly as the runner would
+    const map = [];
+    let parsed;
+    try {
+        parsed = parser.parse(fcont, {rawEcho: !!opts.rawEcho, map, filename: fname});
+    } catch (ex) {
+        problems.push(problem(fname, ex));
+        return;
+    }
+    try {
+        parser.compileParsed(fname, parsed, map, sourceLines);
+    } catch (ex) {
+        problems.push(problem(fname, ex));
+    }
+
+    // Look for includes of files that don't exist, in the code copied as-is
+    for (let i = 0; i < map.length; i++) {
+        const seg = map[i];
+        if (!seg.v)
+            continue;
+        const len = (i + 1 < map.length) ? map[i+1].g - seg.g : Infinity;
+        const code = fcont.slice(seg.s, seg.s + len);
+        includeRE.lastIndex = 0;
+        let inc;
+        while ((inc = includeRE.exec(code)) !== null) {
+            const name = inc[3];
+            const target = (name[0] === "/") ? name : path.dirname(fname) + "/" + name;
+            if (fs.existsSync(target))
+                continue;
+            const s = seg.s + inc.index + inc[0].indexOf(inc[2]);
+            const line = parser.searchSorted(sourceLines, s);
+            problems.push({
+                file: fname,
+                line: line + 1,
+                column: s - sourceLines[line] + 1,
+                message: `${inc[1]}() of missing file ${name}`
+            });
+        }
+    }
+}
+
+/**
+ * Check every JSS file under a document root (or a single file) for syntax
+ * errors and includes of missing files, without running anything.
+ * @param {string} root     The document root or file
+ * @param {Object} [opts]   Options:
+ *      rawEcho: Check as if echo tags default to raw output
+ * @returns {Object[]}      The problems found, each {file, line, column,
+ *                          message}, with line and column null if unknown
+ */
+function check(root, opts) {
+    opts = opts || {};
+    const files = [];
+    if (fs.statSync(root).isDirectory())
+        findFiles(root, files, {});
+    else
+        files.push(root);
+
+    const problems = [];
+    for (const file of files) {
+        const fileProblems = [];
+        checkFile(file, opts, fileProblems);
+        fileProblems.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+        problems.push.apply(problems, fileProblems);
+    }
+    return problems;
+}
+
+module.exports = {check};
@@ -0,0 +1,495 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* The command-line interface to NJSP, used when njsp.js is run directly. */
+
+const fs = require("fs");
+
+const njsp = require("./njsp.js");
+
+const usage = `Usage: njsp [options]
+       njsp check [--raw-echo] <root|file>...
+
+Options:
+  --config <file>       Read options from a JSON configuration file
+  --port <port|socket>  FastCGI port or Unix socket
+                        (default /tmp/nodejs-server-pages.sock)
+  --ip <address>        FastCGI IP address to listen on
+  --db <file>           Session database (default nodejs-server-pages.db)
+  --err-db <file>       Error database (default: errors go to stderr)
+  --session-store <store>
+                        Session store: sqlite (default), memory, cookie, or
+                        a module
+  --raw-echo            Don't HTML-escape the output of <?JS= ?> tags
+  --buffer-output       Buffer the output of whole pages by default
+  --auto-etag           Tag whole pages with ETags from their content
+  --nested-query        Nest query and form names like a[b] into objects
+  --trust-proxy <address>
+                        Trust X-Forwarded-* headers from this proxy, may be
+                        repeated
+  --http                Serve HTTP directly instead of FastCGI
+  --root <dir>          Document root for --http (default .)
+  --index <name>        Index file for --http, may be repeated
+                        (default index.jss)
+  --min-workers <n>     Minimum number of runner processes
+  --max-workers <n>     Maximum number of runner processes
+  --max-requests-per-worker <n>
+                        Replace runners after this many requests
+  --max-queue-length <n>
+                        Maximum number of requests waiting for a runner
+  --prewarm <n>         Number of recent pages to warm up new runners with
+  --cache-dir <dir>     Directory for a persistent cache of parsed pages
+  --max-body-size <bytes>
+                        Largest request body accepted
+  --max-file-size <bytes>
+                        Largest uploaded file accepted
+  --max-parts <n>       Most parts accepted in a multipart body
+  --spool-size <bytes>  Size above which uploaded files are spooled to disk
+  --tmp-dir <dir>       Directory for spooled uploads
+  --compress-type <type>
+                        Content type to compress (may use *), may be repeated
+                        (default text and other textual types)
+  --compress-threshold <bytes>
+                        Smallest output to compress (default 1024)
+  --brotli-level <n>    Brotli compression level (default 5)
+  --gzip-level <n>      Gzip compression level (default 6)
+  --zstd-level <n>      Zstandard compression level (default 3)
+  --shutdown-timeout <ms>
+                        How long to wait for pages on shutdown
+  --ws                  Also run the WebSocket server
+  --ws-port <port|socket>
+                        WebSocket port or Unix socket
+                        (default /tmp/nodejs-server-pages-ws.sock)
+  --ws-ip <address>     WebSocket IP address to listen on
+  --ws-root [host=]<dir>
+                        WebSocket script root, for the given host or the
+                        default, may be repeated
+  -h, --help            Show this help
+
+njsp check checks every .jss file under the given document roots for syntax
+errors and includes of missing files, and exits with status 1 if it finds any.
+`;
+
+/**
+ * Command-line options. Each sets a key in the configuration (or in the
+ * WebSocket configuration, if ws is set), parsed according to its type.
+ */
+const options = {
+    "config": {type: "string"},
+    "port": {key: "port", type: "port"},
+    "ip": {key: "ip", type: "string"},
+    "db": {key: "db", type: "string"},
+    "err-db": {key: "errDB", type: "string"},
+    "session-store": {key: "sessionStore", type: "string"},
+    "raw-echo": {key: "rawEcho", type: "flag"},
+    "buffer-output": {key: "bufferOutput", type: "flag"},
+    "auto-etag": {key: "autoETag", type: "flag"},
+    "nested-query": {key: "nestedQuery", type: "flag"},
+    "trust-proxy": {key: "trustProxy", type: "list", allowTrue: true},
+    "http": {key: "http", type: "flag"},
+    "root": {key: "root", type: "string"},
+    "index": {key: "index", type: "list"},
+    "min-workers": {key: "minWorkers", type: "number"},
+    "max-workers": {key: "maxWorkers", type: "number"},
+    "max-requests-per-worker": {key: "maxRequestsPerWorker", type: "number"},
+    "max-queue-length": {key: "maxQueueLength", type: "number"},
+    "prewarm": {key: "prewarm", type: "number"},
+    "cache-dir": {key: "cacheDir", type: "string"},
+    "max-body-size": {key: "maxBodySize", type: "number"},
+    "max-file-size": {key: "maxFileSize", type: "number"},
+    "max-parts": {key: "maxParts", type: "number"},
+    "spool-size": {key: "spoolSize", type: "number"},
+    "tmp-dir": {key: "tmpDir", type: "string"},
+    "compress-type": {key: "compressTypes", type: "list"},
+    "compress-threshold": {key: "compressThreshold", type: "number"},
+    "brotli-level": {key: "brotliLevel", type: "number"},
+    "gzip-level": {key: "gzipLevel", type: "number"},
+    "zstd-level": {key: "zstdLevel", type: "number"},
+    "shutdown-timeout": {key: "shutdownTimeout", type: "number"},
+    "ws": {type: "flag"},
+    "ws-port": {ws: true, key: "port", type: "port"},
+    "ws-ip": {ws: true, key: "ip", type: "string"},
+    "ws-root": {ws: true, key: "root", type: "root"},
+    "help": {type: "flag"}
+};
+
+/**
+ * Create an error for a bad command line or configuration.
+ * @internal
+ */
+function usageError(msg) {
+    const ex = new Error(msg);
+    ex.usage = true;
+    return ex;
+}
+
+/**
+ * Parse a port, which is either a number or the path to a Unix socket.
+ * @internal
+ * @param label  The option, for errors.
+ */
+function parsePort(label, value) {
+    if (/^[0-9]+$/.test(value)) {
+        const port = +value;
+        if (port > 65535)
+            throw usageError(`${label}: ${value} is not a valid port`);
+        return port;
+    }
+    if (value === "")
+        throw usageError(`${label} requires a port or socket path`);
+    return value;
+}
+
+/**
+ * Parse a non-negative whole number.
+ * @internal
+ * @param label  The option, for errors.
+ */
+function parseNumber(label, value) {
+    if (!/^[0-9]+$/.test(value))
+        throw usageError(`${label}: ${value} is not a number`);
+    return +value;
+}
+
+/**
+ * Find the command-line option which sets this configuration key. In the
+ * WebSocket configuration, options for the main server apply too, unless
+ * there's a WebSocket option for the key.
+ * @internal
+ */
+function findOption(key, ws) {
+    let ret = null;
+    for (const name in options) {
+        const opt = options[name];
+        if (opt.key !== key)
+            continue;
+        if (!!opt.ws === ws)
+            return {name, opt};
+        if (!opt.ws && !ret)
+            ret = {name, opt};
+    }
+    return ws ? ret : null;
+}
+
+/**
+ * Check and convert the values in a configuration file the same way as the
+ * matching command-line options. Keys which have no option are left alone.
+ * @internal
+ * @param file  The configuration file, for errors.
+ * @param config  The configuration (or its WebSocket part).
+ * @param ws  True if this is the WebSocket part.
+ */
+function convertConfig(file, config, ws) {
+    for (const key in config) {
+        const found = findOption(key, ws);
+        if (!found)
+            continue;
+        const opt = found.opt;
+        const label = `configuration ${file}: ${ws ? "ws." : ""}${key}`;
+        let value = config[key];
+
+        switch (opt.type) {
+            case "flag":
+                if (typeof value !== "boolean")
+                    throw usageError(`${label} must be true or false`);
+                break;
+
+            case "string":
+                if (typeof value !== "string" || value === "")
+                    throw usageError(`${label} must be a string`);
+                break;
+
+            case "port":
+                if (typeof value !== "number" && typeof value !== "string")
+                    throw usageError(`${label} must be a port or socket path`);
+                if (typeof value === "number" && !/^[0-9]+$/.test(String(value)))
+                    throw usageError(`${label}: ${value} is not a valid port`);
+                value = parsePort(label, String(value));
+                break;
+
+            case "number":
+                if (typeof value !== "number" && typeof value !== "string")
+                    throw usageError(`${label} must be a number`);
+                value = parseNumber(label, String(value));
+                break;
+
+            case "list":
+                if (value === true && opt.allowTrue)
+                    break;
+                if (typeof value === "string")
+                    value = [value];
+                if (!(value instanceof Array) ||
+                    value.some(v => typeof v !== "string" || v === ""))
+                    throw usageError(`${label} must be a string or an array of strings`);
+                break;
+
+            case "root":
+                if (typeof value === "string")
+                    value = {"default": value};
+                if (!value || typeof value !== "object" || value instanceof Array ||
+                    Object.values(value).some(v => typeof v !== "string" || v === ""))
+                    throw usageError(`${label} must be a directory or an object of directories by host`);
+                break;
+        }
+
+        config[key] = value;
+    }
+    return config;
+}
+
+/**
+ * Read a JSON configuration file.
+ * @internal
+ */
+function readConfig(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (ex) {
+        throw usageError(`could not read configuration ${file}: ${ex.message}`);
+    }
+    if (!config || typeof config !== "object" || config instanceof Array)
+        throw usageError(`configuration ${file} must be a JSON object`);
+    return config;
+}
+
+/**
+ * Parse command-line arguments into a configuration. The result is the
+ * configuration for createServer (or createHTTPServer, if http is set), with
+ * the WebSocket configuration in ws, or null if the WebSocket server isn't
+ * wanted. Throws an Error with usage set on bad arguments.
+ * @param {string[]} argv  Arguments, not including node or the script
+ */
+function parseArgs(argv) {
+    const given = [];
+    let configFile = null;
+
+    // First just find all the options
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value = null;
+
+        if (arg === "-h")
+            arg = "--help";
+        if (!/^--./.test(arg))
+            throw usageError(`unexpected argument ${arg}`);
+        arg = arg.slice(2);
+        const eq = arg.indexOf("=");
+        if (eq >= 0) {
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+
+        const opt = options[arg];
+        if (!opt)
+            throw usageError(`unknown option --${arg}`);
+
+        if (opt.type === "flag") {
+            if (value !== null)
+                throw usageError(`--${arg} does not take a value`);
+        } else if (value === null) {
+            if (i + 1 >= argv.length)
+                throw usageError(`--${arg} requires a value`);
+            value = argv[++i];
+        }
+
+        if (arg === "config")
+            configFile = value;
+        else
+            given.push({name: arg, opt, value});
+    }
+
+    // Then start from the configuration file, if there is one
+    const config = configFile ? readConfig(configFile) : {};
+    let ws = null;
+    if (config.ws) {
+        ws = (typeof config.ws === "object") ? config.ws : {};
+        if (ws instanceof Array)
+            throw usageError(`configuration ${configFile}: ws must be true or an object`);
+        convertConfig(configFile, ws, true);
+    }
+    delete config.ws;
+    convertConfig(configFile, config, false);
+
+    // And apply the options
+    for (const {name, opt, value} of given) {
+        if (name === "help") {
+            config.help = true;
+            continue;
+        }
+        if (name === "ws" || opt.ws) {
+            if (!ws)
+                ws = {};
+            if (name === "ws")
+                continue;
+        }
+        const target = opt.ws ? ws : config;
+
+        switch (opt.type) {
+            case "flag":
+                target[opt.key] = true;
+                break;
+
+            case "string":
+                if (value === "")
+                    throw usageError(`--${name} requires a value`);
+                target[opt.key] = value;
+                break;
+
+            case "port":
+                target[opt.key] = parsePort(`--${name}`, value);
+                break;
+
+            case "number":
+                target[opt.key] = parseNumber(`--${name}`, value);
+                break;
+
+            case "list":
+                if (value === "")
+                    throw usageError(`--${name} requires a value`);
+                if (!(target[opt.key] instanceof Array))
+                    target[opt.key] = [];
+                target[opt.key].push(value);
+                break;
+
+            case "root":
+            {
+                let host = "default";
+                let dir = value;
+                const eq = value.indexOf("=");
+                if (eq >= 0) {
+                    host = value.slice(0, eq);
+                    dir = value.slice(eq + 1);
+                    if (host !== "default")
+                        host = "host:" + host;
+                }
+                if (host === "" || host === "host:" || dir === "")
+                    throw usageError(`--${name} must be [host=]<dir>`);
+                if (!target.root)
+                    target.root = {};
+                target.root[host] = dir;
+                break;
+            }
+        }
+    }
+
+    if (config.help)
+        return config;
+
+    // Check that the combination makes sense
+    if (!config.http && ("root" in config || "index" in config))
+        throw usageError("--root and --index are only used with --http");
+    if (ws) {
+        if (!ws.root || !ws.root["default"])
+            throw usageError("the WebSocket server requires a default --ws-root");
+
+        // Share the databases, proxies, query parsing and sessions unless
+        // they're given separately
+        for (const key of ["db", "errDB", "trustProxy", "nestedQuery", "session",
+                "sessionStore", "sessionSecret", "sessionStoreOptions"]) {
+            if (!(key in ws) && key in config)
+                ws[key] = config[key];
+        }
+    }
+
+    config.ws = ws;
+    return config;
+}
+
+/**
+ * Run `njsp check`.
+ * @internal
+ * @param {string[]} argv  Arguments after "check"
+ */
+function mainCheck(argv) {
+    const opts = {};
+    const roots = [];
+    for (const arg of argv) {
+        if (arg === "--raw-echo")
+            opts.rawEcho = true;
+        else if (/^-./.test(arg))
+            throw usageError(`unknown option ${arg} for check`);
+        else
+            roots.push(arg);
+    }
+    if (!roots.length)
+        throw usageError("check requires a document root");
+
+    let count = 0;
+    for (const root of roots) {
+        let problems;
+        try {
+            problems = njsp.check(root, opts);
+        } catch (ex) {
+            process.stderr.write(`njsp: ${ex.message}\n`);
+            process.exit(2);
+        }
+        for (const p of problems) {
+            const loc = p.line ? `:${p.line}:${p.column}` : "";
+            process.stdout.write(`${p.file}${loc}: ${p.message}\n`);
+        }
+        count += problems.length;
+    }
+    if (count)
+        process.exit(1);
+}
+
+/**
+ * Run NJSP from the command line.
+ * @param {string[]} argv  Arguments, not including node or the script
+ */
+function main(argv) {
+    let config;
+    try {
+        if (argv[0] === "check")
+            return mainCheck(argv.slice(1));
+        config = parseArgs(argv);
+    } catch (ex) {
+        if (!ex.usage)
+            throw ex;
+        process.stderr.write(`njsp: ${ex.message}\n` +
+            "Try 'njsp --help' for more information.\n");
+        process.exit(2);
+    }
+
+    if (config.help) {
+        process.stdout.write(usage);
+        return;
+    }
+
+    const ws = config.ws;
+    delete config.ws;
+
+    function fail(ex) {
+        process.stderr.write(`njsp: ${ex.message}\n`);
+        process.exit(1);
+    }
+
+    // Bad configurations the servers find (such as of sessions) are failures too
+    try {
+        if (config.http)
+            njsp.createHTTPServer(config).on("error", fail);
+        else
+            njsp.createServer(config).on("error", fail);
+
+        if (ws)
+            njsp.createWSServer(ws).on("error", fail);
+    } catch (ex) {
+        fail(ex);
+    }
+}
+
+module.exports = {parseArgs, main};
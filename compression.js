@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* The compression policy for responses: which encoding to use, what to
+ * compress, and how hard. */
+
+const zlib = require("zlib");
+
+const bodyparser = require("./bodyparser.js");
+
+/**
+ * Types compressed by default
+ */
+const defaultTypes = [
+    "text/*",
+    "application/javascript",
+    "application/json",
+    "application/*+json",
+    "application/xml",
+    "application/*+xml",
+    "image/svg+xml"
+];
+
+/**
+ * Default policy. Sizes are in bytes.
+ */
+const defaults = {
+    compressThreshold: 1024,
+    brotliLevel: 5,
+    gzipLevel: 6,
+    zstdLevel: 3
+};
+
+/**
+ * Supported encodings, in order of preference when the client likes several
+ * equally
+ */
+const encodings = [];
+if (zlib.createZstdCompress)
+    encodings.push("zstd");
+if (zlib.createBrotliCompress)
+    encodings.push("br");
+encodings.push("gzip");
+
+/**
+ * Compiled type patterns, by the configured list
+ */
+const typeLists = {};
+
+/**
+ * Get the compression policy from the runner options
+ * @param {Object} options  The options
+ */
+function policy(options) {
+    const ret = {};
+    for (const key in defaults)
+        ret[key] = (typeof options[key] === "number") ? options[key] : defaults[key];
+    const types = options.compressTypes || defaultTypes;
+    const key = JSON.stringify(types);
+    if (!typeLists[key])
+        typeLists[key] = types.map(bodyparser.typePattern);
+    ret.types = typeLists[key];
+    return ret;
+}
+
+/**
+ * Choose an encoding for a client, by the q-values in its Accept-Encoding
+ * header. Returns null if it accepts none we support.
+ * @param {string} accept   The Accept-Encoding header
+ */
+function choose(accept) {
+    const q = {};
+    for (const item of String(accept || "").split(",")) {
+        const [name, ...params] = item.split(";");
+        const enc = name.trim().toLowerCase();
+        if (!enc)
+            continue;
+        let quality = 1;
+        for (const param of params) {
+            const m = /^\s*q\s*=\s*([0-9.]+)\s*$/i.exec(param);
+            if (m)
+                quality = Math.min(+m[1], 1) || 0;
+        }
+        q[enc] = quality;
+    }
+
+    let best = null, bestQ = 0;
+    for (const enc of encodings) {
+        const quality = (enc in q) ? q[enc] : ("*" in q) ? q["*"] : 0;
+        if (quality > bestQ) {
+            best = enc;
+            bestQ = quality;
+        }
+    }
+    return best;
+}
+
+/**
+ * Check whether a content type should be compressed
+ * @param {Object} pol          The policy, from policy()
+ * @param {string} contentType  The Content-Type header
+ */
+function compressible(pol, contentType) {
+    const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+    return !!type && pol.types.some(re => re.test(type));
+}
+
+/**
+ * Create a compressor
+ * @param {Object} pol      The policy, from policy()
+ * @param {string} encoding The encoding, from choose()
+ */
+function create(pol, encoding) {
+    switch (encoding) {
+        case "zstd":
+            return zlib.createZstdCompress({
+                params: {[zlib.constants.ZSTD_c_compressionLevel]: pol.zstdLevel}
+            });
+
+        case "br":
+            return zlib.createBrotliCompress({
+                params: {[zlib.constants.BROTLI_PARAM_QUALITY]: pol.brotliLevel}
+            });
+
+        case "gzip":
+            return zlib.createGzip({level: pol.gzipLevel});
+    }
+    return null;
+}
+
+/**
+ * Flush a compressor, so everything written so far can be decompressed
+ * @param compressor        The compressor, from create()
+ * @param {string} encoding Its encoding
+ */
+function flush(compressor, encoding) {
+    switch (encoding) {
+        case "zstd":
+            compressor.flush(zlib.constants.ZSTD_e_flush);
+            break;
+
+        case "br":
+            compressor.flush(zlib.constants.BROTLI_OPERATION_FLUSH);
+            break;
+
+        default:
+            compressor.flush(zlib.constants.Z_SYNC_FLUSH);
+    }
+}
+
+module.exports = {policy, choose, compressible, create, flush};
@@ -1,205 +1,237 @@
 /*
- * MIT License
+ * Copyright (c) 2020-2022 Yahweasel
  *
- * Copyright (c) 2020 David McGinnis
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
  *
- * Permission is hereby granted, free of charge, to any person obtaining a copy
- * of this software and associated documentation files (the "Software"), to deal
- * in the Software without restriction, including without limitation the rights
- * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
- * copies of the Software, and to permit persons to whom the Software is
- * furnished to do so, subject to the following conditions:
- *
- * The above copyright notice and this permission notice shall be included in all
- * copies or substantial portions of the Software.
- *
- * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
- * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
- * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
- * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
- * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
- * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
- * SOFTWARE.
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
  */
-// Parses string of format A=B.
-// If B is quoted or a JSON structure, it is parsed. Otherwise, the entire value is returned.
-// The returned struct has a single field with the given key and value pair.
-function parseAssignment(str) {
-  const result = {};
-  const assignmentParts = str.split("=");
-  if (assignmentParts.length == 2)
-  {
-    const fieldName = assignmentParts[0].trim();
-    const fieldValue = assignmentParts[1].trim();
-    try {
-      result[fieldName] = JSON.parse(fieldValue);
-    } catch (error) {
-      result[fieldName] = fieldValue;
-    }
-  }
-  return result;
-};
 
-// Reads through all of the headers in this part, until we hit two end lines in a row.
-// We return a struct with the content disposition and type, as well as the offset to read next.
-function parseHeaders(multipartBodyBuffer, startingIndex) {
-  var lastline = "";
-  var contentDisposition = "";
-  var contentType = "";
-  var i = startingIndex;
-  var headerFound = false;
-
-  for (; i < multipartBodyBuffer.length; i++) {
-    const oneByte = multipartBodyBuffer.charCodeAt(i);
-    const prevByte = i > 0 ? multipartBodyBuffer.charCodeAt(i-1) : null;
-    const newLineDetected = oneByte == 0x0a && prevByte == 0x0d ? true : false;
-    const newLineChar = oneByte == 0x0a || oneByte == 0x0d ? true : false;
-
-    if (!newLineChar) lastline += String.fromCharCode(oneByte);
-
-    if (newLineDetected) {
-      const headerKey = lastline.split(":")[0].trim().toLowerCase()
-      if (headerKey == '')
-      {
-        break;
-      }
-      headerFound = true;
-      switch (headerKey) {
-        case 'content-disposition':
-          contentDisposition = lastline;
-          break;
-        case 'content-type':
-          contentType = lastline;
-          break;
-        default:
-          break;
-      }
-      lastline = "";
-    }
-  }
-  return {
-    contentDisposition: contentDisposition,
-    contentType: contentType,
-    endOffset: i + 1,
-    headerFound: headerFound
-  }
-}
+/* A streaming parser for multipart bodies (RFC 7578), which works on Buffers,
+ * so binary data passes through untouched. */
 
-// Reads the data portion of the body, reading until we hit the boundary.
-// We return a structure with the data and the next offset to read.
-function parseData(multipartBodyBuffer, startingIndex, boundary) {
-  var buffer = [];
-  var lastline = ""
-  for (i = startingIndex; i < multipartBodyBuffer.length; i++) {
-    const oneByte = multipartBodyBuffer.charCodeAt(i);
-    const prevByte = i > 0 ? multipartBodyBuffer.charCodeAt(i-1) : null;
-    const newLineDetected = oneByte == 0x0a && prevByte == 0x0d ? true : false;
-    const newLineChar = oneByte == 0x0a || oneByte == 0x0d ? true : false;
-
-    if (!newLineChar) {
-      lastline += String.fromCharCode(oneByte);
-    }
+const CRLF = Buffer.from("\r\n");
+const headersEnd = Buffer.from("\r\n\r\n");
 
-    if (lastline.length > boundary.length + 4) {
-      lastline = ""; // mem save
-    }
+/**
+ * Largest header block we'll accept for a single part
+ */
+const maxHeaderSize = 16384;
+
+/**
+ * Parser states
+ */
+const PREAMBLE = 0, AFTER_BOUNDARY = 1, HEADERS = 2, BODY = 3, DONE = 4;
+
+/**
+ * Create an error for a malformed body
+ * @internal
+ */
+function malformed(msg) {
+    const ex = new Error("Malformed multipart body: " + msg);
+    ex.status = 400;
+    return ex;
+}
+
+/**
+ * Get the boundary from a multipart content type, or null if there isn't one
+ * @param {string} contentType  The Content-Type header
+ */
+function getBoundary(contentType) {
+    const params = parseParams(String(contentType || ""));
+    return params.boundary || null;
+}
 
-    if ("--" + boundary == lastline) {
-      break;
-    } else {
-      buffer.push(oneByte);
+/**
+ * Parse the parameters (; name=value) in a header value. Names are
+ * lowercased, quoted values are unquoted (unescaping only \" and \\, as
+ * browsers send Windows paths unescaped), and RFC 5987 name*=charset''value
+ * parameters are decoded (and take precedence).
+ * @param {string} value    The header value
+ * @returns {Object}        The parameters
+ */
+function parseParams(value) {
+    const ret = {};
+    const re = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let m;
+    while ((m = re.exec(value)) !== null) {
+        let name = m[1].toLowerCase();
+        let val = (typeof m[2] === "string") ?
+            m[2].replace(/\\(["\\])/g, "$1") :
+            m[3].trim();
+
+        if (name[name.length - 1] === "*") {
+            // Extended parameter
+            name = name.slice(0, -1);
+            const ext = /^([^']*)'[^']*'(.*)$/.exec(val);
+            if (!ext)
+                continue;
+            try {
+                val = (ext[1].toLowerCase() === "utf-8") ?
+                    decodeURIComponent(ext[2]) : unescape(ext[2]);
+            } catch (ex) {
+                continue;
+            }
+            ret[name] = val;
+            ret["*" + name] = true;
+        } else if (!ret["*" + name]) {
+            ret[name] = val;
+        }
     }
-    if (newLineDetected) {
-      lastline = "";
+    for (const name in ret) {
+        if (name[0] === "*")
+            delete ret[name];
     }
-  }
-  const dataLength = buffer.length - lastline.length;
-  return {
-    data: buffer.slice(0, dataLength - 1),
-    endOffset: i + 3 // Include the new line
-  }
+    return ret;
 }
 
-// will transform this object:
-// { header: 'Content-Disposition: form-data; name="uploads[]"; filename="A.txt"',
-//	 info: 'Content-Type: text/plain',
-//	 part: 'AAAABBBB' }
-// into this one:
-// { filename: 'A.txt', type: 'text/plain', data: <Buffer 41 41 41 41 42 42 42 42> }
-function transformFieldInfo(field) {
-  const newField = {}
-
-  const dispositionParts = field.disposition.split(";");
-  const assignments = dispositionParts.map(p => parseAssignment(p));
-  const fileNames = assignments.filter(p => p.filename)
-  if (fileNames.length > 0)
-  {
-    newField.filename = fileNames[0].filename
-  } 
-  const names = assignments.filter(p => p.name)
-  if (names.length > 0)
-  {
-    newField.name = names[0].name
-  }
-
-  const contentTypeValue = field.type.split(":")[1]
-  if (contentTypeValue)
-  {
-    const contentType = contentTypeValue.split(";")[0].trim();
-    newField.type = contentType;
-  }
-  newField.data = new Buffer(field.data)
-  return newField;
-};
+/**
+ * A streaming multipart parser. Feed it the body with write() and end(). For
+ * each part, handlers.part is called with its description, then
+ * handlers.data with each chunk of its content, then handlers.partEnd.
+ * @param {string} boundary     The boundary, from the content type
+ * @param {Object} handlers     {part, data, partEnd}
+ */
+function Parser(boundary, handlers) {
+    // Treating the body as if it starts with a newline makes every delimiter the same
+    this.delimiter = Buffer.from("\r\n--" + boundary);
+    this.handlers = handlers;
+    this.buf = CRLF;
+    this.state = PREAMBLE;
+}
 
 /**
- 	Multipart Parser
-
-	usage:
-
-	var multipart = require('./multipart.js');
-	var body = new Buffer("..."); 							   // raw body
-	var body = new Buffer(event['body-json'].toString(),'base64'); // AWS case
-	
-	var boundary = multipart.getBoundary(event.params.header['content-type']);
-	var parts = multipart.Parse(body,boundary);
-	
-	// each part is:
-	// { filename: 'A.txt', type: 'text/plain', data: <Buffer 41 41 41 41 42 42 42 42> }
-
-	author:  David McGinnis (mcginnda@davidmcginnis.net) www.davidmcginnis.net
-			 Twitter: @DevMcDavid
+ * Parse the next chunk of the body. Throws on a malformed body.
+ * @param {Buffer} chunk    The chunk
  */
-exports.Parse = function (multipartBodyBuffer, boundary) {
-  var i = parseData(multipartBodyBuffer, 0, boundary).endOffset
-  
-  const allParts = [];
+Parser.prototype.write = function(chunk) {
+    if (this.state === DONE)
+        return;
+    this.buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+
+    let buf = this.buf;
+    let more = true;
+    while (more) {
+        switch (this.state) {
+            case PREAMBLE:
+            case BODY:
+            {
+                const idx = buf.indexOf(this.delimiter);
+                if (idx < 0) {
+                    // Keep just enough to find a delimiter split across chunks
+                    const keep = Math.min(buf.length, this.delimiter.length - 1);
+                    if (this.state === BODY && buf.length > keep)
+                        this.handlers.data(buf.slice(0, buf.length - keep));
+                    buf = buf.slice(buf.length - keep);
+                    more = false;
+                    break;
+                }
+
+                if (this.state === BODY) {
+                    if (idx)
+                        this.handlers.data(buf.slice(0, idx));
+                    this.handlers.partEnd();
+                }
+                buf = buf.slice(idx + this.delimiter.length);
+                this.state = AFTER_BOUNDARY;
+                break;
+            }
+
+            case AFTER_BOUNDARY:
+            {
+                // Either -- for the end, or a newline for another part
+                const nl = buf.indexOf(CRLF);
+                if (buf.length >= 2 && buf[0] === 0x2d && buf[1] === 0x2d) {
+                    this.state = DONE;
+                    buf = Buffer.alloc(0);
+                    more = false;
+                } else if (nl >= 0) {
+                    if (buf.slice(0, nl).toString("latin1").trim() !== "")
+                        throw malformed("bad boundary");
+                    buf = buf.slice(nl + 2);
+                    this.state = HEADERS;
+                } else {
+                    if (buf.length > 256)
+                        throw malformed("bad boundary");
+                    more = false;
+                }
+                break;
+            }
+
+            case HEADERS:
+            {
+                // The headers might be empty, or end with a double newline
+                let end, skip;
+                if (buf.length >= 2 && buf[0] === 0x0d && buf[1] === 0x0a) {
+                    end = 0;
+                    skip = 2;
+                } else {
+                    end = buf.indexOf(headersEnd);
+                    skip = 4;
+                }
+                if (end < 0) {
+                    if (buf.length > maxHeaderSize)
+                        throw malformed("part headers too large");
+                    more = false;
+                    break;
+                }
+                this.handlers.part(describePart(buf.slice(0, end).toString("utf8")));
+                buf = buf.slice(end + skip);
+                this.state = BODY;
+                break;
+            }
+
+            case DONE:
+                buf = Buffer.alloc(0);
+                more = false;
+                break;
+        }
+    }
+    this.buf = buf;
+};
 
-  while (i < multipartBodyBuffer.length) {
-    const headerInfo = parseHeaders(multipartBodyBuffer, i);
+/**
+ * End the body. Throws if the body ended before its last part did.
+ */
+Parser.prototype.end = function() {
+    if (this.state !== DONE)
+        throw malformed("unexpected end of body");
+};
 
-    if (!headerInfo.headerFound)
-    {
-      break;
+/**
+ * Describe a part from its headers
+ * @internal
+ * @param {string} head     The part's header lines
+ * @returns {Object}        {name, filename, type, headers}
+ */
+function describePart(head) {
+    const headers = {};
+    for (const line of head.split("\r\n")) {
+        const colon = line.indexOf(":");
+        if (colon <= 0)
+            continue;
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
     }
 
-    const info = parseData(multipartBodyBuffer, headerInfo.endOffset, boundary);
-    i = info.endOffset;
-    const fieldInfo = { disposition: headerInfo.contentDisposition, type: headerInfo.contentType, data: info.data };
-    allParts.push(transformFieldInfo(fieldInfo));
-  }
-  return allParts;
-};
+    const disposition = parseParams(headers["content-disposition"] || "");
+    const part = {
+        name: (typeof disposition.name === "string") ? disposition.name : null,
+        filename: null,
+        type: (headers["content-type"] || "text/plain").split(";")[0].trim().toLowerCase(),
+        headers
+    };
+    if (typeof disposition.filename === "string") {
+        // Some clients send the whole path
+        part.filename = disposition.filename.replace(/^.*[\\/]/, "");
+    }
+    return part;
+}
 
-//  read the boundary from the content-type header sent by the http client
-//  this value may be similar to:
-//  'multipart/form-data; boundary=----WebKitFormBoundaryvm5A9tzU1ONaGP5B',
-exports.getBoundary = function (header) {
-  const items = header.split(";");
-  const boundaryItems = items.filter(item => item.indexOf("boundary") >= 0)
-  if (boundaryItems.length == 0)
-  {
-    return "";
-  }
-  return parseAssignment(boundaryItems[0]).boundary;
-};
+module.exports = {Parser, getBoundary, parseParams};
@@ -21,6 +21,7 @@
 const cp = require("child_process");
 const fs = require("fs");
 const http = require("http");
+const net = require("net");
 const path = require("path");
 const util = require("util");
 
@@ -28,12 +29,25 @@ const fcgi = require("node-fastcgi");
 const sqlite3 = require("sqlite3");
 const ws = require("ws");
 
+const bodies = require("./body.js");
+const check = require("./check.js");
+const mime = require("./mime.js");
+const sessionstore = require("./sessionstore.js");
+
 const defaultConfig = {
     "port": "/tmp/nodejs-server-pages.sock",
     "ip": void 0,
     "db": "nodejs-server-pages.db"
 };
 
+const defaultHTTPConfig = {
+    "port": 8080,
+    "ip": void 0,
+    "db": "nodejs-server-pages.db",
+    "root": ".",
+    "index": "index.jss"
+};
+
 const defaultWSConfig = {
     "port": "/tmp/nodejs-server-pages-ws.sock",
     "ip": void 0,
@@ -55,14 +69,15 @@ const childNodePath = (function() {
     return nodePath;
 })();
 
-// Add that to the environment
-const childEnv = (function() {
+// Add that to the environment (redone on reload)
+function makeChildEnv() {
     let env = {};
     for (const v in process.env)
         env[v] = process.env[v];
     env.NODE_PATH = childNodePath;
     return env;
-})();
+}
+let childEnv = makeChildEnv();
 
 /**
  * Threads ready to run server requests
@@ -74,18 +89,93 @@ let readyThreads = [];
  */
 let busyThreads = 0;
 
+/**
+ * Threads that are starting up and warming their cache
+ */
+let warmingThreads = 0;
+
+/**
+ * Threads that have been told to exit, but haven't yet
+ */
+let exitingThreads = 0;
+
+/**
+ * Recently requested pages, most recent first, used to warm up new threads
+ */
+let hotPages = [];
+
+/**
+ * All runner threads, in any state
+ */
+let runnerThreads = [];
+
+/**
+ * Requests waiting for a thread to become ready
+ */
+let requestQueue = [];
+
+/**
+ * Limits on the runner thread pool, shared by all servers in this process
+ */
+const poolConfig = {
+    "minWorkers": 1,
+    "maxWorkers": 32,
+    "maxRequestsPerWorker": 0,
+    "maxQueueLength": 256,
+    "prewarm": 16
+};
+
+/**
+ * Error callback for threads spawned on behalf of the pool as a whole
+ */
+let poolError = null;
+
+/**
+ * Set once the pool has been shut down, so no more threads are spawned
+ */
+let poolStopped = false;
+
 /**
  * Threads handling ws requests
  */
 let wsThreads = {};
 
+/**
+ * Servers currently accepting connections
+ */
+let servers = [];
+
+/**
+ * Set once our signal handlers are installed
+ */
+let signalsInstalled = false;
+
 /**
  * Create our FastCGI server
  */
 function createServer(config) {
     config = config || {};
+    checkSessionStore(config);
+    const error = errorHandler(config);
+
+    // Start the minimum number of threads
+    configurePool(config, error);
+    fillPool(error);
 
-    // Prepare the DB
+    // Then create the server
+    const server = fcgi.createServer((req, res) => {
+        track(server, res);
+        runRequest(config, error, req, res, req.socket.params);
+    });
+    return startServer(server, config,
+        config.port || defaultConfig.port, config.ip || defaultConfig.ip);
+}
+
+/**
+ * Create a function to report errors, to the error database if configured.
+ * @internal
+ */
+function errorHandler(config) {
     let error = null;
     if (config.errDB) {
         const errDB = new sqlite3.Database(config.errDB);
@@ -115,88 +205,704 @@ function createServer(config) {
 
     }
 
-    // We'll need at least one thread
-    spawnThread(error);
+    return error;
+}
 
-    // If we're listening to a UNIX-domain socket, delete any old one
-    let port = config.port || defaultConfig.port;
-    if (typeof port === "string") {
-        try {
-            fs.unlinkSync(port);
-        } catch (ex) {}
-    }
+/**
+ * Send a request to a runner thread, reading its body first if needed.
+ * @internal
+ * @param config  Server configuration.
+ * @param error  Callback for when errors occur.
+ * @param req  The request.
+ * @param res  The response.
+ * @param params  FastCGI-style parameters for the request.
+ */
+function runRequest(config, error, req, res, params) {
+    const options = runnerOptions(config);
+    notePage(params.DOCUMENT_ROOT + params.SCRIPT_NAME, options);
 
-    // Then create the server
-    return fcgi.createServer((req, res) => {
-        function go(body) {
-            // Send this request to a runner thread
-            if (readyThreads.length === 0)
-                spawnThread(error);
-            const thr = readyThreads.shift();
-            busyThreads++;
-
-            thr.res = res;
-            thr.send({
+    function go(body) {
+        body = body || {};
+
+        // Delete any temporary files once the response is done
+        if (body.files && body.files.length) {
+            res.on("finish", () => bodies.cleanup(body.files));
+            res.on("close", () => bodies.cleanup(body.files));
+        }
+
+        // Send this request to a runner thread
+        dispatch({
+            error,
+            res,
+            msg: {
                 c: "r",
                 r: {
                     url: req.url,
+                    method: req.method,
                     headers: req.headers,
-                    query: req.socket.params.QUERY_STRING
+                    query: params.QUERY_STRING
                 },
-                p: req.socket.params,
-                b: body,
-                d: config.db || defaultConfig.db
-            });
+                p: params,
+                b: body.b,
+                m: body.m,
+                d: config.db || defaultConfig.db,
+                o: options
+            }
+        });
+    }
+
+    if (req.method === "GET" || req.method === "HEAD") {
+        go();
+
+    } else {
+        // PUT, POST, PATCH, DELETE, OPTIONS, etc. may all carry a body
+        bodies.read(req, bodies.limits(config), (err, body) => {
+            if (err) {
+                const code = err.status || 400;
+                if (code === 500 && error)
+                    error(params.REQUEST_URI, params.DOCUMENT_ROOT + params.SCRIPT_NAME,
+                        err + "\n" + err.stack);
+                res.writeHead(code, {
+                    "content-type": "text/plain",
+                    "connection": "close"
+                });
+                res.end(code + ": " + http.STATUS_CODES[code]);
+                return;
+            }
+            go(body);
+        });
+
+    }
+}
+
+/**
+ * Options for runners, sent along with each request.
+ * @internal
+ */
+function runnerOptions(config) {
+    return {
+        rawEcho: !!config.rawEcho,
+        bufferOutput: !!config.bufferOutput,
+        autoETag: !!config.autoETag,
+        session: config.session || null,
+        sessionStore: resolveModule(config.sessionStore),
+        sessionSecret: config.sessionSecret || null,
+        sessionStoreOptions: config.sessionStoreOptions || null,
+        trustProxy: config.trustProxy || false,
+        nestedQuery: !!config.nestedQuery,
+        bodyParsers: resolveParsers(config.bodyParsers),
+        compressTypes: config.compressTypes || null,
+        compressThreshold: config.compressThreshold,
+        brotliLevel: config.brotliLevel,
+        gzipLevel: config.gzipLevel,
+        zstdLevel: config.zstdLevel,
+        cacheDir: config.cacheDir ? path.resolve(config.cacheDir) : null
+    };
+}
+
+/**
+ * Check the session store configuration, so that the server fails to start
+ * rather than failing on every page.
+ * @internal
+ */
+function checkSessionStore(config) {
+    sessionstore.check({
+        store: resolveModule(config.sessionStore),
+        secret: config.sessionSecret
+    });
+}
+
+/**
+ * Resolve the paths of body parser modules, so that runners can load them.
+ * @internal
+ * @param parsers  Map of content types to module names or paths.
+ */
+function resolveParsers(parsers) {
+    const ret = {};
+    for (const type in (parsers || {}))
+        ret[type] = resolveModule(parsers[type]);
+    return ret;
+}
+
+/**
+ * Resolve the path of a module given as a path, so that runners can load it.
+ * Other module names (and built-in choices) are left alone.
+ * @internal
+ */
+function resolveModule(mod) {
+    if (typeof mod === "string" && /^\.{0,2}\//.test(mod))
+        return path.resolve(mod);
+    return mod || null;
+}
+
+/**
+ * Note that this page was requested, so that new threads can warm up with it.
+ * @internal
+ * @param fname  Filename of the page.
+ * @param options  Runner options it was requested with.
+ */
+function notePage(fname, options) {
+    if (!poolConfig.prewarm)
+        return;
+    if (hotPages.length && hotPages[0].f === fname &&
+        hotPages[0].o.rawEcho === options.rawEcho)
+        return;
+    hotPages = hotPages.filter(page =>
+        page.f !== fname || page.o.rawEcho !== options.rawEcho);
+    hotPages.unshift({f: fname, o: options});
+    if (hotPages.length > poolConfig.prewarm)
+        hotPages.length = poolConfig.prewarm;
+}
 
-            // If we don't have any spare threads for future requests, expand
-            if (readyThreads.length === 0)
-                spawnThread(error);
+/**
+ * Create a standalone HTTP server, serving .jss pages and static files from a
+ * document root without a FastCGI front end.
+ */
+function createHTTPServer(config) {
+    config = config || {};
+    checkSessionStore(config);
+    const error = errorHandler(config);
+    const root = path.resolve(config.root || defaultHTTPConfig.root);
+    let index = config.index || defaultHTTPConfig.index;
+    if (typeof index === "string")
+        index = [index];
+
+    function stat(fname) {
+        try {
+            return fs.statSync(fname);
+        } catch (ex) {
+            return null;
         }
+    }
 
-        if (req.method === "GET") {
-            go();
+    // Files which may be under the root, but must never be served
+    const isPrivate = privateFiles(config);
 
-        } else if (req.method === "POST") {
-            let body = new Buffer(0);
-            req.on("data", (chunk) => {
-                body = Buffer.concat([body, chunk]);
-            });
-            req.on("end", () => {
-                go(body.toString("binary"));
-            });
+    // Start the minimum number of threads
+    configurePool(config, error);
+    fillPool(error);
 
-        } else {
-            res.writeHead(501);
-            res.end();
+    const server = http.createServer((req, res) => {
+        track(server, res);
+
+        function fail(code, msg) {
+            res.writeHead(code, {"content-type": "text/plain"});
+            res.end(`${code}: ${msg}`);
+        }
+
+        // Split the URL
+        const qIdx = req.url.indexOf("?");
+        let upath = (qIdx >= 0) ? req.url.slice(0, qIdx) : req.url;
+        const query = (qIdx >= 0) ? req.url.slice(qIdx + 1) : "";
+        try {
+            upath = decodeURIComponent(upath);
+        } catch (ex) {
+            return fail(400, "Bad request");
+        }
+        if (upath.indexOf("\0") >= 0)
+            return fail(400, "Bad request");
+        upath = path.posix.normalize("/" + upath);
+
+        // Never serve hidden files, such as .env or .git, except .well-known
+        if (/\/\.(?!well-known(\/|$))/.test(upath))
+            return fail(404, "File not found");
+
+        // Look for a script with path info after it
+        let script = null, pathInfo = "", sbuf = null;
+        const parts = upath.split("/");
+        for (let i = 1; i < parts.length - 1; i++) {
+            if (!/\.jss$/.test(parts[i]))
+                continue;
+            const candidate = parts.slice(0, i + 1).join("/");
+            const cbuf = stat(root + candidate);
+            if (cbuf && cbuf.isFile()) {
+                script = candidate;
+                pathInfo = "/" + parts.slice(i + 1).join("/");
+                sbuf = cbuf;
+                break;
+            }
+        }
+
+        // Or the file itself
+        if (!script) {
+            script = upath;
+            sbuf = stat(root + script);
+            if (!sbuf)
+                return fail(404, "File not found");
+
+            if (sbuf.isDirectory()) {
+                if (!/\/$/.test(script)) {
+                    // Redirect so that relative links work
+                    res.writeHead(301, {
+                        "location": encodeURI(script + "/") +
+                            (query ? "?" + query : "")
+                    });
+                    return res.end();
+                }
+
+                // Fall back to an index
+                sbuf = null;
+                for (const idx of index) {
+                    const ibuf = stat(root + script + idx);
+                    if (ibuf && ibuf.isFile()) {
+                        script += idx;
+                        sbuf = ibuf;
+                        break;
+                    }
+                }
+                if (!sbuf)
+                    return fail(404, "File not found");
+            }
+
+            if (!sbuf.isFile())
+                return fail(404, "File not found");
+        }
+
+        if (/\.jss$/.test(script)) {
+            // Fill in the parameters that a FastCGI front end would give us
+            const sock = req.socket;
+            const params = {
+                GATEWAY_INTERFACE: "CGI/1.1",
+                SERVER_SOFTWARE: "nodejs-server-pages",
+                SERVER_PROTOCOL: "HTTP/" + req.httpVersion,
+                REQUEST_SCHEME: sock.encrypted ? "https" : "http",
+                REQUEST_METHOD: req.method,
+                REQUEST_URI: req.url,
+                DOCUMENT_URI: script + pathInfo,
+                DOCUMENT_ROOT: root,
+                SCRIPT_NAME: script,
+                SCRIPT_FILENAME: root + script,
+                PATH_INFO: pathInfo,
+                QUERY_STRING: query,
+                CONTENT_TYPE: req.headers["content-type"] || "",
+                CONTENT_LENGTH: req.headers["content-length"] || "",
+                REMOTE_ADDR: sock.remoteAddress || "",
+                REMOTE_PORT: String(sock.remotePort || ""),
+                SERVER_ADDR: sock.localAddress || "",
+                SERVER_PORT: String(sock.localPort || ""),
+                SERVER_NAME: (req.headers.host || "").replace(/:[0-9]*$/, "")
+            };
+            if (sock.encrypted)
+                params.HTTPS = "on";
+            for (const h in req.headers)
+                params["HTTP_" + h.toUpperCase().replace(/-/g, "_")] = req.headers[h];
+
+            return runRequest(config, error, req, res, params);
+        }
+
+        // Static file, unless it's one of our own
+        if (isPrivate(root + script))
+            return fail(404, "File not found");
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.setHeader("allow", "GET, HEAD");
+            return fail(405, "Method not allowed");
+        }
+
+        res.writeHead(200, {
+            "content-type": mime.lookup(script),
+            "content-length": sbuf.size,
+            "last-modified": sbuf.mtime.toUTCString()
+        });
+        if (req.method === "HEAD")
+            return res.end();
+        const rs = fs.createReadStream(root + script);
+        rs.on("error", () => res.destroy());
+        rs.pipe(res);
+    });
+
+    return startServer(server, config,
+        config.port || defaultHTTPConfig.port,
+        config.ip || defaultHTTPConfig.ip);
+}
+
+/**
+ * Make a function to check whether a file is one the HTTP server must never
+ * serve, even from its document root: the databases (with SQLite's journals)
+ * and the page cache.
+ * @internal
+ * @param config  Server configuration.
+ */
+function privateFiles(config) {
+    // Both as given and with any links in their directories followed
+    function realPath(fname) {
+        try {
+            return path.join(fs.realpathSync(path.dirname(fname)), path.basename(fname));
+        } catch (ex) {
+            return fname;
+        }
+    }
+
+    const files = {};
+    for (const db of [config.db || defaultHTTPConfig.db, config.errDB]) {
+        if (!db)
+            continue;
+        for (const suffix of ["", "-wal", "-shm", "-journal"]) {
+            const fname = path.resolve(db + suffix);
+            files[fname] = files[realPath(fname)] = true;
+        }
+    }
+    const dirs = [];
+    if (config.cacheDir) {
+        const dir = path.resolve(config.cacheDir);
+        dirs.push(dir + path.sep, realPath(dir) + path.sep);
+    }
+
+    return function(fname) {
+        fname = path.resolve(fname);
+        for (const f of [fname, realPath(fname)]) {
+            if (files[f] || dirs.some(dir => (f + path.sep).startsWith(dir)))
+                return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * Listen on the given port (or socket) and make the server manageable, with
+ * shutdown and reload methods.
+ * @internal
+ */
+function startServer(server, config, port, ip) {
+    server.njspActive = 0;
+    server.njspIdle = null;
+    server.njspShutdown = null;
+    server.shutdown = function(timeout) {
+        return shutdownServer(server, config, timeout);
+    };
+    server.reload = reload;
+    servers.push(server);
+
+    if (config.signals !== false)
+        installSignals();
+
+    if (typeof port !== "string") {
+        server.listen(port, ip);
+        return server;
+    }
+
+    /* If we're listening to a UNIX-domain socket, delete any old one, but
+     * only if nothing is still listening on it */
+    const probe = net.connect(port);
+    probe.on("connect", () => {
+        probe.destroy();
+        const err = new Error(`listen EADDRINUSE: ${port} is in use by another server`);
+        err.code = "EADDRINUSE";
+        server.emit("error", err);
+    });
+    probe.on("error", () => {
+        try {
+            fs.unlinkSync(port);
+        } catch (ex) {}
+        server.listen(port, ip);
+    });
+
+    return server;
+}
+
+/**
+ * Keep track of this response as in flight on this server.
+ * @internal
+ */
+function track(server, res) {
+    let done = false;
+    function finish() {
+        if (done)
+            return;
+        done = true;
+        server.njspActive--;
+        if (server.njspActive === 0 && server.njspIdle)
+            server.njspIdle();
+    }
+
+    server.njspActive++;
+    res.on("finish", finish);
+    res.on("close", finish);
+}
+
+/**
+ * Stop accepting connections on this server, and wait for in-flight requests,
+ * up to a deadline. When the last server is shut down, the pool is stopped as
+ * well.
+ * @internal
+ * @param server  The server to shut down.
+ * @param config  Its configuration.
+ * @param timeout  Deadline in milliseconds, or undefined for the configured
+ *                 default.
+ * @returns A promise which resolves when the server has shut down.
+ */
+function shutdownServer(server, config, timeout) {
+    if (server.njspShutdown)
+        return server.njspShutdown;
+    if (typeof timeout !== "number")
+        timeout = config.shutdownTimeout || 30000;
+
+    server.njspShutdown = new Promise(res => {
+        let timer = null;
+
+        // Stop accepting connections
+        const idx = servers.indexOf(server);
+        if (idx >= 0)
+            servers.splice(idx, 1);
+        server.close();
+        if (server.closeIdleConnections)
+            server.closeIdleConnections();
+
+        function done() {
+            clearTimeout(timer);
+            server.njspIdle = null;
+            if (servers.length === 0)
+                stopPool();
+            res();
+        }
+
+        // Wait for in-flight requests
+        if (server.njspActive === 0)
+            return done();
+        server.njspIdle = done;
+        timer = setTimeout(done, timeout);
+    });
+
+    return server.njspShutdown;
+}
+
+/**
+ * Replace every runner and WebSocket runner with a fresh one. Idle runners are
+ * replaced immediately, and busy runners when they finish their request.
+ * WebSocket runners keep serving the connections they already have, as when
+ * their script is updated.
+ */
+function reload() {
+    childEnv = makeChildEnv();
+
+    for (const c of runnerThreads.slice()) {
+        if (c.res)
+            c.retire = true;
+        else
+            terminate(c);
+    }
+    fillPool(poolError);
+
+    for (const fname in wsThreads) {
+        const c = wsThreads[fname].c;
+        if (c.connected)
+            c.disconnect();
+        delete wsThreads[fname];
+    }
+}
+
+/**
+ * Install our SIGTERM (graceful shutdown) and SIGHUP (reload) handlers.
+ * @internal
+ */
+function installSignals() {
+    if (signalsInstalled)
+        return;
+    signalsInstalled = true;
+
+    process.on("SIGTERM", () => {
+        Promise.all(servers.map(s => s.shutdown())).then(() => {
+            process.exit(0);
+        });
+    });
+
+    process.on("SIGHUP", reload);
+}
+
+/**
+ * Stop every thread. Any requests still queued or running are abandoned.
+ * @internal
+ */
+function stopPool() {
+    poolStopped = true;
+
+    for (const job of requestQueue) {
+        job.res.writeHead(503, {"content-type": "text/plain"});
+        job.res.end("503: Service unavailable");
+    }
+    requestQueue = [];
+
+    for (const c of runnerThreads.slice())
+        terminate(c);
+
+    for (const fname in wsThreads) {
+        const c = wsThreads[fname].c;
+        if (c.connected)
+            c.disconnect();
+        delete wsThreads[fname];
+    }
+}
+
+/**
+ * Set the thread pool limits from this server's configuration.
+ * @internal
+ * @param config  Server configuration.
+ * @param error  Callback for when errors occur.
+ */
+function configurePool(config, error) {
+    if (!poolError)
+        poolError = error;
+    for (const key in poolConfig) {
+        if (typeof config[key] === "number")
+            poolConfig[key] = config[key];
+    }
+    if (poolConfig.maxWorkers < 1)
+        poolConfig.maxWorkers = 1;
+    if (poolConfig.minWorkers > poolConfig.maxWorkers)
+        poolConfig.minWorkers = poolConfig.maxWorkers;
+}
+
+/**
+ * Spawn threads until we have at least the minimum.
+ * @internal
+ * @param error  Callback for when errors occur.
+ */
+function fillPool(error) {
+    while (readyThreads.length + warmingThreads + busyThreads <
+           poolConfig.minWorkers) {
+        if (!spawnThread(error))
+            break;
+    }
+}
+
+/**
+ * Spawn threads for every waiting request, plus a spare for future requests.
+ * @internal
+ * @param error  Callback for when errors occur.
+ */
+function growPool(error) {
+    while (readyThreads.length + warmingThreads < requestQueue.length + 1) {
+        if (!spawnThread(error))
+            break;
+    }
+}
+
+/**
+ * Send a request to a ready thread, or queue it if none is available.
+ * @internal
+ * @param job  The request: {error, res, msg}.
+ */
+function dispatch(job) {
+    if (readyThreads.length) {
+        runJob(readyThreads.shift(), job);
+
+    } else if (requestQueue.length >= poolConfig.maxQueueLength) {
+        // Too many requests are waiting already
+        job.res.writeHead(503, {
+            "content-type": "text/plain",
+            "retry-after": "1"
+        });
+        job.res.end("503: Service unavailable");
+        return;
+
+    } else {
+        // Every thread is busy or warming up, so wait in line
+        requestQueue.push(job);
 
+    }
+
+    growPool(job.error);
+}
+
+/**
+ * Send queued requests to any threads that are available.
+ * @internal
+ */
+function drainQueue() {
+    while (requestQueue.length && readyThreads.length) {
+        const job = requestQueue.shift();
+        if (job.res.destroyed) {
+            // Client gave up waiting
+            continue;
         }
+        runJob(readyThreads.shift(), job);
+    }
+}
 
-    }).listen(port, config.ip || defaultConfig.ip);
+/**
+ * Run a request on this thread.
+ * @internal
+ */
+function runJob(thr, job) {
+    busyThreads++;
+    thr.requests++;
+    thr.res = job.res;
+    thr.send(job.msg);
+
+    // Tell the page if the client goes away first (e.g. from an event stream)
+    job.res.on("close", () => {
+        if (thr.res === job.res && !job.res.writableEnded && thr.connected)
+            thr.send({c: "c"});
+    });
 }
 
 /**
- * Spawn a thread.
+ * Spawn a thread, if we're not already at the maximum.
  * @internal
  * @param error  Callback for when errors occur.
+ * @returns The new thread, or null if the pool is full.
  */
 function spawnThread(error) {
+    if (poolStopped ||
+        readyThreads.length + warmingThreads + busyThreads + exitingThreads >=
+        poolConfig.maxWorkers)
+        return null;
+
     let c = cp.fork(__dirname + "/runner.js", {env: childEnv});
     c.res = null;
+    c.requests = 0;
+    c.retire = false;
+    c.warming = true;
+    c.exiting = false;
+
+    // Sending to a thread that just died fails; its exit handler cleans up
+    c.on("error", () => {});
 
     c.on("message", (msg) => {
+        if (msg.c === "r" && c.warming) {
+            // Done warming up, so ready to take requests
+            c.warming = false;
+            warmingThreads--;
+            readyThreads.push(c);
+            drainQueue();
+            return;
+        }
+
+        if (msg.c === "s") {
+            // Session store request
+            sessionstore.serve(c, msg);
+            return;
+        }
+
         if (!c.res) return;
 
         try {
             switch (msg.c) {
                 case "h":
+                    // Multi-valued headers arrive as arrays, as writeHead expects
                     c.res.writeHead(msg.x, msg.h);
                     break;
                 case "w":
+                {
+                    const res = c.res;
+                    let ok;
                     if (msg.d)
-                        c.res.write(msg.d);
+                        ok = res.write(msg.d);
                     else
-                        c.res.write(Buffer.from(msg.x, "binary"));
+                        ok = res.write(Buffer.from(msg.x, "binary"));
+
+                    // Streamed output waits for the client to keep up
+                    if (msg.a) {
+                        const ack = () => {
+                            if (c.res === res && c.connected)
+                                c.send({c: "a"});
+                        };
+                        if (ok)
+                            ack();
+                        else
+                            res.once("drain", ack);
+                    }
                     break;
+                }
                 case "x":
                     if (error)
                         error(msg.p, msg.f, msg.e);
@@ -204,8 +910,16 @@ function spawnThread(error) {
                 case "e":
                     c.res.end();
                     c.res = null;
-                    readyThreads.push(c);
-                    busyThreads--;
+                    if (c.retire || c.exiting ||
+                        (poolConfig.maxRequestsPerWorker &&
+                        c.requests >= poolConfig.maxRequestsPerWorker)) {
+                        // Recycle this thread
+                        terminate(c);
+                    } else {
+                        readyThreads.push(c);
+                        busyThreads--;
+                    }
+                    drainQueue();
                     unspawnThreads();
                     break;
             }
@@ -216,20 +930,59 @@ function spawnThread(error) {
 
     c.on("exit", () => {
         // Make sure we don't consider a dead thread to be ready or busy
-        let i = readyThreads.indexOf(c);
-        if (i === -1)
-            busyThreads--;
-        else
-            readyThreads.splice(i, 1);
+        runnerThreads.splice(runnerThreads.indexOf(c), 1);
+        if (c.exiting) {
+            exitingThreads--;
+        } else if (c.warming) {
+            warmingThreads--;
+        } else {
+            let i = readyThreads.indexOf(c);
+            if (i === -1)
+                busyThreads--;
+            else
+                readyThreads.splice(i, 1);
+        }
 
         // And end the response if needed
         if (c.res) {
             c.res.end();
             c.res = null;
         }
+
+        // Replace it if anything is waiting for it
+        fillPool(error);
+        if (requestQueue.length)
+            growPool(error);
     });
 
-    readyThreads.push(c);
+    // Warm it up with the pages most likely to be requested
+    runnerThreads.push(c);
+    warmingThreads++;
+    c.send({c: "w", p: hotPages});
+    return c;
+}
+
+/**
+ * Tell a thread to exit. It stays counted against the maximum until it does.
+ * @internal
+ */
+function terminate(c) {
+    if (c.exiting)
+        return;
+    if (c.warming) {
+        c.warming = false;
+        warmingThreads--;
+    } else {
+        const i = readyThreads.indexOf(c);
+        if (i === -1)
+            busyThreads--;
+        else
+            readyThreads.splice(i, 1);
+    }
+    c.exiting = true;
+    exitingThreads++;
+    if (c.connected)
+        c.send({c: "t"});
 }
 
 /**
@@ -239,7 +992,7 @@ function spawnThread(error) {
 function unspawnThreads() {
     function vmSize(pid) {
         try {
-            let status = fs.readFileSync(`/proc/${pid}/status`).split("\n");
+            let status = fs.readFileSync(`/proc/${pid}/status`, "utf8").split("\n");
             for (let s of status) {
                 let parts = s.split(":");
                 if (parts[0] === "VmSize")
@@ -251,7 +1004,8 @@ function unspawnThreads() {
     }
 
     let bt = busyThreads;
-    while (readyThreads.length > bt + 2) {
+    let total = readyThreads.length + bt;
+    while (readyThreads.length > bt + 2 && total > poolConfig.minWorkers) {
         // Choose the process with the greatest VM size
         let maxIdx = 0;
         let max = 0;
@@ -265,9 +1019,8 @@ function unspawnThreads() {
         }
 
         // Kill it
-        readyThreads[maxIdx].send({c: "t"});
-        readyThreads.splice(maxIdx, 1);
-        busyThreads++;
+        terminate(readyThreads[maxIdx]);
+        total--;
     }
 }
 
@@ -276,21 +1029,11 @@ function unspawnThreads() {
  */
 function createWSServer(config) {
     config = config || {};
-
-    // If we're listening to a UNIX-domain socket, delete any old one
-    const port = config.port || defaultWSConfig.port;
-    if (typeof port === "string") {
-        try {
-            fs.unlinkSync(port);
-        } catch (ex) {}
-    }
+    checkSessionStore(config);
 
     // Create the server
     const hs = http.createServer();
 
-    // Listen in the right place
-    hs.listen(port, config.ip || defaultWSConfig.ip);
-
     // And listen for upgrade requests
     hs.on("upgrade", (req, sock) => {
         // Find the root
@@ -335,10 +1078,15 @@ function createWSServer(config) {
                 mtime: sbuf.mtimeMs,
                 c: cp.fork(__dirname + "/wsrunner.js", {env: childEnv, detached: true, stdio: "ignore"})
             };
+            wsThread.c.on("error", () => {});
             wsThread.c.on("exit", () => {
                 if (wsThreads[fname] === wsThread)
                     delete wsThreads[fname];
             });
+            wsThread.c.on("message", msg => {
+                if (msg.c === "s")
+                    sessionstore.serve(wsThread.c, msg);
+            });
             wsThread.c.send({c: "l", f: fname, x: config.errDB || null});
         }
 
@@ -350,6 +1098,19 @@ function createWSServer(config) {
                 method: req.method,
                 headers: req.headers
             },
+            p: {
+                REMOTE_ADDR: sock.remoteAddress || "",
+                REQUEST_SCHEME: sock.encrypted ? "https" : "http",
+                SERVER_NAME: (req.headers.host || "").replace(/:[0-9]*$/, "")
+            },
+            o: {
+                trustProxy: config.trustProxy || false,
+                nestedQuery: !!config.nestedQuery,
+                session: config.session || null,
+                sessionStore: resolveModule(config.sessionStore),
+                sessionSecret: config.sessionSecret || null,
+                sessionStoreOptions: config.sessionStoreOptions || null
+            },
             d: config.db || defaultWSConfig.db
         }, sock);
     });
@@ -359,9 +1120,15 @@ function createWSServer(config) {
         res.write("426: Upgrade Required");
         res.end();
     });
+
+    // Listen in the right place
+    return startServer(hs, config,
+        config.port || defaultWSConfig.port, config.ip || defaultWSConfig.ip);
 }
 
-if (require.main === module)
-    createServer();
+module.exports = {
+    createServer, createHTTPServer, createWSServer, check: check.check
+};
 
-module.exports = {createServer, createWSServer};
+if (require.main === module)
+    require("./cli.js").main(process.argv.slice(2));
@@ -0,0 +1,563 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* The JSS parser, and compilation of parsed pages into functions. This is
+ * shared by the runners and the checker, so it has no side effects. */
+
+const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Lines added by AsyncFunction before the function body
+ */
+const functionPrologueLines = 2;
+
+/**
+ * Version of the parser, so that persistently cached output from any other
+ * version is ignored
+ */
+const parserVersion = (function() {
+    let version = require("./package.json").version;
+    try {
+        version += ":" + fs.statSync(__filename).mtimeMs;
+    } catch (ex) {}
+    return version;
+})();
+
+/**
+ * The list of global(ish) values, which are passed through our async functions
+ */
+const globals = [
+    "request", "response", "params", "writeHead", "write", "session",
+    "compileAbsolute", "escapeHTML", "layouts", "require", "__dirname",
+    "__filename"
+];
+
+/**
+ * Add generated code to the parser output, remembering where it came from
+ * @param out       Parser output
+ * @param {string} code     Generated code
+ * @param {number} src      Offset in the source it came from
+ * @param {boolean} verbatim    True if the code is copied from the source as-is
+ */
+function emit(out, code, src, verbatim) {
+    if (out.map)
+        out.map.push({g: out.o.length, s: src, v: !!verbatim});
+    out.o += code;
+}
+
+/**
+ * Create a SyntaxError for a malformed JSS file, at this offset in the file
+ * @param {string} msg      Error message
+ * @param out               Parser state
+ * @param {number} offset   Offset of the error in the file
+ */
+function parseError(msg, out, offset) {
+    const lines = lineStarts(out.file);
+    const line = searchSorted(lines, offset);
+    return locatedSyntaxError(msg, out.filename, line + 1,
+        offset - lines[line] + 1);
+}
+
+/**
+ * Create a SyntaxError at this location in a JSS file
+ */
+function locatedSyntaxError(msg, filename, line, column) {
+    const ex = new SyntaxError(
+        `${msg} (${filename || "<anonymous>"}:${line}:${column})`);
+    ex.reason = msg;
+    ex.file = filename || null;
+    ex.line = line;
+    ex.column = column;
+    return ex;
+}
+
+/**
+ * Parse a JSS file into JavaScript code
+ * @param {string} file     The file content
+ * @param {Object} [opts]   Options:
+ *      rawEcho: Whether echo tags default to raw (unescaped) output
+ *      map: If given, an array to fill with a mapping of offsets in the
+ *           generated code to offsets in the file
+ *      filename: Name of the file, for errors
+ */
+function parse(file, opts) {
+    opts = opts || {};
+    const out = {
+        o: "",
+        rawEcho: !!opts.rawEcho,
+        map: opts.map || null,
+        file,
+        filename: opts.filename || null
+    };
+    const tagRE = /<\?(js)?([=-])?(!)?(?:\s|(?=\?>))/iy;
+    let start = 0;
+
+    // Look for tags. Anything else starting with <? (e.g. <?xml) is just text.
+    for (let i = file.indexOf("<?"); i >= 0; i = file.indexOf("<?", i + 2)) {
+        tagRE.lastIndex = i;
+        const tag = tagRE.exec(file);
+        if (!tag)
+            continue;
+
+        const part = file.slice(start, i);
+        if (part.trim() !== "") {
+            // Generate code to output this part
+            emit(out, "write(" + JSON.stringify(part) + ");\n", start);
+        }
+
+        // Then pass through the JS part
+        i = parseJS(file, i, tag, out);
+        start = i + 2;
+    }
+
+    const part = file.slice(start);
+    if (part.trim() !== "")
+        emit(out, "write(" + JSON.stringify(part) + ");\n", start);
+
+    return out.o;
+}
+
+/**
+ * Parse just the JS part of a JSS file. This tokenizes just enough to find the
+ * ?> which really ends the tag, i.e., not one in a string, comment, regular
+ * expression or template literal.
+ * @param {string} file     The file content
+ * @param {number} tagStart Offset of the <? starting the tag
+ * @param {Array} tag       Match of the opening tag
+ * @param out               Parser state
+ * @returns {number}        Offset of the ?> ending the tag
+ */
+function parseJS(file, tagStart, tag, out) {
+    let echo = null;
+
+    // A no-direct tag and/or an echo tag
+    if (tag[3] === "!")
+        emit(out, "if (!module.included) { module.writeHead(500); return; }\n", tagStart);
+    if (tag[2] === "-" || (tag[2] === "=" && out.rawEcho)) {
+        // Raw echo
+        echo = "write(String(";
+    } else if (tag[2] === "=") {
+        // Escaped echo
+        echo = "write(module.escapeHTML(";
+    }
+    if (echo)
+        emit(out, echo, tagStart);
+
+    // Find the end
+    const start = tagStart + tag[0].length;
+    const brackets = [];
+    let regexOK = true;
+    let prev = echo ? "(" : null; // The last token, for telling blocks from objects
+    let i = start;
+    while (true) {
+        if (i >= file.length)
+            throw parseError("Unterminated <?JS tag", out, tagStart);
+        const c = file[i];
+
+        if (c === "?" && file[i+1] === ">") {
+            // End of JS part
+            break;
+
+        } else if (/\s/.test(c)) {
+            i++;
+
+        } else if (c === "/" && file[i+1] === "*") {
+            // Multi-line comment
+            const end = file.indexOf("*/", i + 2);
+            if (end < 0)
+                throw parseError("Unterminated comment", out, i);
+            i = end + 2;
+
+        } else if (c === "/" && file[i+1] === "/") {
+            // Single-line comment
+            for (i += 2; i < file.length && file[i] !== "\n"; i++) {}
+
+        } else if (c === "\"" || c === "'") {
+            i = skipString(file, i, out);
+            regexOK = false;
+            prev = c;
+
+        } else if (c === "`") {
+            i = skipTemplate(file, i + 1, i, brackets, out);
+            regexOK = false;
+            prev = c;
+
+        } else if (c === "/") {
+            if (regexOK) {
+                i = skipRegex(file, i, out);
+                regexOK = false;
+            } else {
+                // Division
+                i++;
+                regexOK = true;
+            }
+            prev = c;
+
+        } else if (wordRE.test(c)) {
+            // Identifier, keyword or number
+            let end = i + 1;
+            while (end < file.length && wordRE.test(file[end]))
+                end++;
+            prev = file.slice(i, end);
+            regexOK = !!regexKeywords[prev];
+            i = end;
+
+        } else if (c === "(" || c === "[" || c === "{") {
+            // A regex can follow the ) of a condition, or the } of a block
+            brackets.push({
+                c, pos: i,
+                regexAfter: (c === "(") ? !!conditionKeywords[prev] :
+                    (c === "{") ? isBlockStart(prev) : false
+            });
+            i++;
+            regexOK = true;
+            prev = c;
+
+        } else if (c === ")" || c === "]" || c === "}") {
+            const top = brackets[brackets.length - 1];
+            if (c === "}" && top && top.c === "${") {
+                // Back into a template literal
+                brackets.pop();
+                i = skipTemplate(file, i + 1, top.start, brackets, out);
+                regexOK = false;
+                prev = "`";
+                continue;
+            }
+            regexOK = false;
+            if (top && top.c !== "${") {
+                brackets.pop();
+                regexOK = top.regexAfter;
+            } else if (echo) {
+                throw parseError(`Unexpected '${c}' in echo tag`, out, i);
+            }
+            i++;
+            prev = c;
+
+        } else if (c === "=" && file[i+1] === ">") {
+            // Arrow, which may be followed by a block
+            i += 2;
+            regexOK = true;
+            prev = "=>";
+
+        } else if ((c === "+" || c === "-") && file[i+1] === c) {
+            // ++ or --: postfix after an operand, so a / after it divides
+            i += 2;
+            prev = c + c;
+
+        } else {
+            // Any other punctuation
+            i++;
+            regexOK = true;
+            prev = c;
+
+        }
+    }
+
+    // A template literal can't span tags
+    for (const b of brackets) {
+        if (b.c === "${")
+            throw parseError("Unterminated template literal", out, b.start);
+    }
+
+    // Output what we skipped
+    const code = file.slice(start, i);
+    emit(out, code, start, true);
+
+    if (echo) {
+        // Check that the echo tag is a whole expression, then close it
+        if (code.trim() === "")
+            throw parseError("Empty echo tag", out, tagStart);
+        if (brackets.length) {
+            const b = brackets[brackets.length - 1];
+            throw parseError(`Unclosed '${b.c}' in echo tag`, out, b.pos);
+        }
+        emit(out, "));\n", i);
+
+    } else {
+        // Check for echo directives, which apply to the rest of the file
+        const directive = /^\s*(["'])use (raw|escaped) echo\1;?\s*$/.exec(code);
+        if (directive)
+            out.rawEcho = (directive[2] === "raw");
+
+        // End the line, so that the code can't run into what follows
+        emit(out, "\n", i);
+
+    }
+
+    return i;
+}
+
+/**
+ * Keywords after which a / starts a regular expression, rather than a division
+ */
+const regexKeywords = {
+    "await": true, "case": true, "delete": true, "do": true, "else": true,
+    "in": true, "instanceof": true, "new": true, "of": true, "return": true,
+    "throw": true, "typeof": true, "void": true, "yield": true
+};
+
+/**
+ * Keywords whose parenthesized condition is followed by a statement, which may
+ * start with a regular expression
+ */
+const conditionKeywords = {
+    "for": true, "if": true, "while": true, "with": true
+};
+
+/**
+ * Tokens after which a { starts a block, rather than an object literal, so
+ * that a / after its } starts a regular expression
+ */
+const blockStarts = {
+    ";": true, "{": true, "}": true, ")": true, "=>": true, "do": true,
+    "else": true, "finally": true, "try": true
+};
+
+/**
+ * Check whether a { after this token (null at the start of a tag) starts a
+ * block
+ */
+function isBlockStart(prev) {
+    return prev === null || !!blockStarts[prev];
+}
+
+/**
+ * Characters that can be in identifiers, keywords and numbers
+ */
+const wordRE = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+/**
+ * Skip a quoted string
+ * @returns {number}    Offset just past the string
+ */
+function skipString(file, i, out) {
+    const quote = file[i];
+    for (let j = i + 1; j < file.length; j++) {
+        const c = file[j];
+        if (c === "\\")
+            j++;
+        else if (c === quote)
+            return j + 1;
+        else if (c === "\n")
+            break;
+    }
+    throw parseError("Unterminated string", out, i);
+}
+
+/**
+ * Skip the text part of a template literal, up to its end or a ${
+ * @param {number} i        Offset to start from, inside the template
+ * @param {number} start    Offset of the start of the template literal
+ * @param {Array} brackets  Stack of open brackets, to which ${ is added
+ * @returns {number}        Offset just past the template literal or ${
+ */
+function skipTemplate(file, i, start, brackets, out) {
+    for (; i < file.length; i++) {
+        const c = file[i];
+        if (c === "\\") {
+            i++;
+        } else if (c === "`") {
+            return i + 1;
+        } else if (c === "$" && file[i+1] === "{") {
+            brackets.push({c: "${", pos: i, start});
+            return i + 2;
+        }
+    }
+    throw parseError("Unterminated template literal", out, start);
+}
+
+/**
+ * Skip a regular expression literal
+ * @returns {number}    Offset just past the regular expression and its flags
+ */
+function skipRegex(file, i, out) {
+    let inClass = false;
+    for (let j = i + 1; j < file.length; j++) {
+        const c = file[j];
+        if (c === "\\") {
+            j++;
+        } else if (c === "\n") {
+            break;
+        } else if (inClass) {
+            if (c === "]")
+                inClass = false;
+        } else if (c === "[") {
+            inClass = true;
+        } else if (c === "/") {
+            // Skip the flags too
+            for (j++; j < file.length && /[a-z]/i.test(file[j]); j++) {}
+            return j;
+        }
+    }
+    throw parseError("Unterminated regular expression", out, i);
+}
+
+/**
+ * Make the header for a compiled file, which is needed to make usable local
+ * variables and specialized functions
+ * @param {string} fname    Name of the file
+ */
+function header(fname) {
+    let ret = "";
+    for (const global of globals)
+        ret += "var " + global + " = module." + global + ";\n";
+
+    ret +=
+        "function compile(name) {\n" +
+        "name = (name[0]==='/') ? name : (" + JSON.stringify(path.dirname(fname) + "/") + "+name);\n" +
+        "return module.compileAbsolute(name);\n" +
+        "}\n" +
+        "async function include(name) {\n" +
+        "var sm = {" + globals.join(",") + ",included:true,exports:{}};\n" +
+        "await layouts.run(compile(name), sm, Array.prototype.slice.call(arguments, 1));\n" +
+        "return sm.exports;\n" +
+        "}\n" +
+        "function extend(name) {\n" +
+        "layouts.extend(module, (name[0]==='/') ? name : (" + JSON.stringify(path.dirname(fname) + "/") + "+name));\n" +
+        "}\n" +
+        "function block(name, def) {\n" +
+        "return layouts.block(module, name, def);\n" +
+        "}\n";
+
+    return ret;
+}
+
+/**
+ * Compile a parsed JSS file into an AsyncFunction
+ * @param {string} fname        Name of the file
+ * @param {string} parsed       Output of parse
+ * @param {Array} map           Map filled in by parse
+ * @param {number[]} sourceLines    Line starts of the file
+ * @param {string} [sourceURL]  Name for the compiled code in stack traces
+ * @returns {Object}            {func, sm}, where sm maps positions in the
+ *                              compiled code back to the file
+ */
+function compileParsed(fname, parsed, map, sourceLines, sourceURL) {
+    const code = header(fname) + parsed;
+
+    // Compile, naming the code so that we can map its stack traces
+    const sm = {
+        file: fname,
+        offset: code.length - parsed.length,
+        map,
+        generatedLines: lineStarts(code),
+        sourceLines
+    };
+    let func;
+    try {
+        func = new AsyncFunction("module",
+            code + "\n//# sourceURL=" + (sourceURL || fname));
+    } catch (ex) {
+        throw locateSyntaxError(ex, sm, code) || ex;
+    }
+    return {func, sm};
+}
+
+/**
+ * Find the offset of the start of every line in this string
+ */
+function lineStarts(str) {
+    const ret = [0];
+    for (let i = str.indexOf("\n"); i >= 0; i = str.indexOf("\n", i + 1))
+        ret.push(i + 1);
+    return ret;
+}
+
+/**
+ * Find the last element of this sorted array which is at most val
+ * @param {Array} arr   The array
+ * @param {number} val  The value to search for
+ * @param {Function} [get]  Function to get the value of an element
+ * @returns {number}    The index, or -1 if there is none
+ */
+function searchSorted(arr, val, get) {
+    get = get || (x => x);
+    let lo = 0, hi = arr.length - 1, ret = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (get(arr[mid]) <= val) {
+            ret = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return ret;
+}
+
+/**
+ * Map a line and column (both 1-based) in compiled code back to the JSS file
+ * @returns {Object|null}   {line, column}, or null if it isn't from the file
+ */
+function mapPosition(sm, line, column) {
+    const gLine = line - functionPrologueLines - 1;
+    if (gLine < 0 || gLine >= sm.generatedLines.length)
+        return null;
+    const g = sm.generatedLines[gLine] + column - 1 - sm.offset;
+    if (g < 0)
+        return null;
+
+    // Find the code it came from
+    const segIdx = searchSorted(sm.map, g, seg => seg.g);
+    if (segIdx < 0)
+        return null;
+    const seg = sm.map[segIdx];
+    const s = seg.v ? seg.s + g - seg.g : seg.s;
+
+    // And convert it to a line and column
+    const sLine = searchSorted(sm.sourceLines, s);
+    return {
+        line: sLine + 1,
+        column: s - sm.sourceLines[sLine] + 1
+    };
+}
+
+/**
+ * Find where in the JSS file a syntax error in its compiled code is. The
+ * AsyncFunction constructor doesn't say, but vm.Script does.
+ * @returns {SyntaxError|null}  The error with its location, if found
+ */
+function locateSyntaxError(ex, sm, code) {
+    if (!(ex instanceof SyntaxError))
+        return null;
+    try {
+        new vm.Script("(async function(module) {\n" + code + "\n})", {
+            filename: "njsp-compile"
+        });
+    } catch (ex2) {
+        const loc = /^njsp-compile:([0-9]+)\n.*\n( *)\^/.exec(ex2.stack);
+        if (!loc)
+            return null;
+        const pos = mapPosition(sm, +loc[1] + functionPrologueLines - 1,
+            loc[2].length + 1);
+        if (!pos) {
+            // Past the end of the code, e.g. an unclosed block
+            return locatedSyntaxError("Unexpected end of file", sm.file,
+                sm.sourceLines.length, 1);
+        }
+        return locatedSyntaxError(ex2.message, sm.file, pos.line, pos.column);
+    }
+    return null;
+}
+
+module.exports = {
+    parse, compileParsed, lineStarts, searchSorted, mapPosition,
+    locatedSyntaxError,
+    globals, parserVersion
+};
@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Parsing of Range headers (RFC 7233), for files sent by pages. */
+
+/**
+ * Most ranges we'll serve in one response. Requests for more are answered
+ * with the whole file.
+ */
+const maxRanges = 32;
+
+/**
+ * Parse a Range header. Returns null if the whole file should be sent (no
+ * header, or one we don't understand), false if no range is satisfiable, or
+ * an array of {start, end} (inclusive), in the order requested.
+ * @param {string} header   The Range header
+ * @param {number} size     The size of the file
+ */
+function parse(header, size) {
+    if (!header)
+        return null;
+    const m = /^\s*bytes\s*=(.*)$/i.exec(header);
+    if (!m)
+        return null;
+
+    const ranges = [];
+    for (let spec of m[1].split(",")) {
+        spec = spec.trim();
+        if (!spec)
+            continue;
+        const r = /^([0-9]*)-([0-9]*)$/.exec(spec);
+        if (!r || (r[1] === "" && r[2] === ""))
+            return null;
+
+        let start, end;
+        if (r[1] === "") {
+            // Suffix: the last n bytes
+            const n = +r[2];
+            if (n === 0)
+                continue;
+            start = Math.max(size - n, 0);
+            end = size - 1;
+        } else {
+            start = +r[1];
+            end = (r[2] === "") ? size - 1 : Math.min(+r[2], size - 1);
+            if (r[2] !== "" && +r[2] < start)
+                return null;
+        }
+        if (start >= size)
+            continue;
+        ranges.push({start, end});
+    }
+
+    if (ranges.length > maxRanges || overlapping(ranges))
+        return null;
+    return ranges.length ? ranges : false;
+}
+
+/**
+ * Check whether any ranges overlap, which clients have no good reason to ask
+ * for
+ * @internal
+ */
+function overlapping(ranges) {
+    const sorted = ranges.slice(0).sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start <= sorted[i-1].end)
+            return true;
+    }
+    return false;
+}
+
+module.exports = {parse};
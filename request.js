@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Filling in the request object, the same way for pages and WebSocket
+ * scripts. */
+
+const cookie = require("cookie");
+
+/**
+ * Short names for types, for request.is
+ */
+const typeNames = {
+    "html": "text/html",
+    "text": "text/plain",
+    "json": "application/json",
+    "urlencoded": "application/x-www-form-urlencoded",
+    "multipart": "multipart/*"
+};
+
+/**
+ * Normalize an IP address, so that IPv4 addresses look the same however they
+ * arrived
+ * @internal
+ */
+function normalizeIP(ip) {
+    ip = String(ip || "").trim();
+    if (/^::ffff:[0-9.]+$/i.test(ip))
+        ip = ip.slice(7);
+    return ip;
+}
+
+/**
+ * Check whether this address is a trusted proxy
+ * @internal
+ * @param trustProxy    The trustProxy option: true, or an array of addresses
+ * @param {string} ip   The address
+ */
+function trusted(trustProxy, ip) {
+    if (trustProxy === true)
+        return true;
+    if (!(trustProxy instanceof Array))
+        return false;
+    return trustProxy.some(t => normalizeIP(t) === ip);
+}
+
+/**
+ * Check whether the request's body is of this type
+ * @param {string} type     A MIME type, which may have a * as either part, or
+ *                          one of the short names html, text, json,
+ *                          urlencoded or multipart
+ */
+function is(type) {
+    const ct = /^[^;\s]*/.exec(this.headers["content-type"] || "")[0].toLowerCase();
+    if (!ct)
+        return false;
+    type = String(type).toLowerCase();
+    type = typeNames[type] || type;
+    const [major, minor] = type.split("/");
+    const [ctMajor, ctMinor] = ct.split("/");
+    return (major === "*" || major === ctMajor) &&
+        (typeof minor === "undefined" || minor === "*" || minor === ctMinor);
+}
+
+/**
+ * Fill in the request object. The server sends the URL, method and headers;
+ * the rest comes from the (FastCGI-style) params.
+ * @param req       The request
+ * @param params    The params, of which REMOTE_ADDR, HTTPS, REQUEST_SCHEME,
+ *                  SERVER_NAME and PATH_INFO are used
+ * @param [opts]    Options:
+ *      trustProxy: true to trust X-Forwarded-* headers from any client, or an
+ *                  array of the addresses of trusted proxies
+ */
+function prepare(req, params, opts) {
+    opts = opts || {};
+    const headers = req.headers = req.headers || {};
+    params = params || {};
+
+    req.method = req.method || params.REQUEST_METHOD || "GET";
+    req.path = String(req.url || "/").replace(/\?.*/, "");
+    req.pathInfo = params.PATH_INFO || "";
+    req.cookies = cookie.parse(headers.cookie || "");
+    req.is = is;
+
+    req.ip = normalizeIP(params.REMOTE_ADDR);
+    req.protocol = (params.HTTPS === "on" || params.REQUEST_SCHEME === "https") ?
+        "https" : "http";
+    req.host = headers.host || params.SERVER_NAME || "";
+
+    // Behind a trusted proxy, believe what it says about the client
+    if (opts.trustProxy && trusted(opts.trustProxy, req.ip)) {
+        if (headers["x-forwarded-for"]) {
+            const chain = headers["x-forwarded-for"].split(",").map(normalizeIP);
+            while (chain.length && trusted(opts.trustProxy, req.ip))
+                req.ip = chain.pop();
+        }
+        if (headers["x-forwarded-proto"])
+            req.protocol = headers["x-forwarded-proto"].split(",")[0].trim().toLowerCase();
+        if (headers["x-forwarded-host"])
+            req.host = headers["x-forwarded-host"].split(",")[0].trim();
+    }
+
+    // And the whole URL as the client asked for it, if it makes sense
+    try {
+        req.parsedURL = new URL(String(req.url || "/"), `${req.protocol}://${req.host || "localhost"}`);
+    } catch (ex) {
+        req.parsedURL = null;
+    }
+
+    return req;
+}
+
+module.exports = {prepare};
@@ -14,17 +14,22 @@
  * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
  */
 
-const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
-const querystring = require("querystring");
-const zlib = require("zlib");
 
+const cookie = require("cookie");
+
+const bodyparser = require("./bodyparser.js");
+const compression = require("./compression.js");
 const multipart = require("./multipart.js");
+const mime = require("./mime.js");
+const parser = require("./parser.js");
+const range = require("./range.js");
+const request = require("./request.js");
 const session = require("./session.js");
+const sessionstore = require("./sessionstore.js");
 
-const contentRE = /^([^ ;]*)/;
-const boundaryRE = /^multipart\/.+?(?:; boundary=(?:(?:"(.+)")|(?:([^\s]+))))$/i;
 
 /**
  * Timestamps for already-compiled files
@@ -37,129 +42,79 @@ const times = {};
 const funcs = {};
 
 /**
- * The list of global(ish) values, which are passed through our async functions
+ * Position mappings for compiled files, by the source URL given to their
+ * compiled code, used to map stack traces back to .jss lines
  */
-const globals = [
-    "request", "response", "params", "writeHead", "write", "session",
-    "compileAbsolute", "require", "__dirname", "__filename"
-];
+const sourceMaps = {};
 
 /**
- * When a page is done, we need to eliminate all cached requires that aren't
- * part of the runner itself. As such, we remember the cache here, so we know
- * what not to delete.
+ * Body parser lists, by the application's body parser configuration
  */
-const requireCacheCleanState = {};
-for (const m in require.cache)
-    requireCacheCleanState[m] = true;
+const bodyParserLists = {};
 
 /**
- * "Parse" a JSS file into JavaScript code
- * @param {string} file     The file content
- */
-function parse(file) {
-    let start = 0;
-    const out = {o: ""};
-    let inComment = false;
-
-    // Look for meaningful tags
-    for (let i = 0; i < file.length; i++) {
-        if (!inComment) {
-            if (file.slice(i, i+4) === "<!--") {
-                inComment = true;
-            } else if (file.slice(i, i+2) === "<?") {
-                const part = file.slice(start, i);
-                if (part.trim() !== "") {
-                    // Generate code to output this part
-                    out.o += "write(" + JSON.stringify(part) + ");\n";
-                }
-
-                // Then pass through the JS part
-                start = i = parseJS(file, i + 2, out) + 2;
-                continue;
-            }
-        } else {
-            // Just looking for -->
-            if (file.slice(i, i+3) === "-->")
-                inComment = false;
-        }
-    }
-
-    const part = file.slice(start);
-    if (part.trim() !== "")
-        out.o += "write(" + JSON.stringify(part) + ");\n";
-
-    return out.o;
-}
+ * Body parser modules given by the application, once loaded
+ */
+const bodyParserModules = {};
 
 /**
- * Parse just the JS part of a JSS file
+ * Options for the current request, sent by the server
  */
-function parseJS(file, i, out) {
-    let isEchoTag = false;
-
-    // First, we can start with "JS<whitespace>" or an echo tag
-    const optStart = /^(js)?(=)?(!)?\s/i;
-    const ose = optStart.exec(file.slice(i));
-    if (ose) {
-        i += ose[0].length;
-        if (ose[3] === "!")
-            out.o += "if (!module.included) { module.writeHead(500); return; }\n";
-        if (ose[2] === "=") {
-            out.o += "write(String(";
-            isEchoTag = true;
-        }
-    }
+let options = {};
 
-    // This doesn't really parse, of course, just avoids ?> in comments
-    const start = i;
-    for (; i < file.length; i++) {
-        const c = file[i];
-        if (c === "/") {
-            // Maybe a comment
-            if (file[i+1] === "*") {
-                // Multi-line comment
-                for (i += 2; i < file.length; i++) {
-                    if (file[i] === "*" && file[i+1] === "/") {
-                        i += 2;
-                        break;
-                    }
-                }
-
-            } else if (file[i+1] === "/") {
-                // Single-line comment
-                for (i += 2; i < file.length && file[i] !== "\n"; i++) {}
-
-            }
+/**
+ * The current response, so we can tell it if the client goes away
+ */
+let currentResponse = null;
 
-        } else if (c === "\"" || c === "'" || c === "`") {
-            // Quoted string
-            for (i++; i < file.length && file[i] !== c; i++) {
-                if (file[i] === "\\")
-                    i++;
-            }
+/**
+ * Default time limit for pages, in milliseconds
+ */
+const defaultTimeLimit = 30000;
 
-        } else if (c === "?" && file[i+1] === ">") {
-            // End of JS part
-            break;
+/**
+ * Default interval between heartbeats in server-sent event streams
+ */
+const defaultHeartbeat = 15000;
 
-        }
-    }
+/**
+ * Size of the chunks files are sent in
+ */
+const chunkSize = 65536;
 
-    // Output what we skipped
-    out.o += file.slice(start, i);
+/**
+ * Characters to escape in echo tags, and their escapes
+ */
+const htmlEscapes = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&#39;"
+};
 
-    // And possibly close our echo tag
-    if (isEchoTag)
-        out.o += "));\n";
+/**
+ * When a page is done, we need to eliminate all cached requires that aren't
+ * part of the runner itself. As such, we remember the cache here, so we know
+ * what not to delete.
+ */
+const requireCacheCleanState = {};
+for (const m in require.cache)
+    requireCacheCleanState[m] = true;
 
-    return i;
+/**
+ * Escape a value for output into HTML
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, c => htmlEscapes[c]);
 }
 
 /**
  * Compile the named file into an AsyncFunction
  */
 function compile(fname) {
+    const rawEcho = !!options.rawEcho;
+    const key = (rawEcho ? "raw:" : "") + fname;
     let sbuf;
     let func = null;
 
@@ -171,48 +126,251 @@ function compile(fname) {
     }
 
     // Check
-    if (fname in times && sbuf.mtimeMs <= times[fname]) {
+    if (key in times && sbuf.mtimeMs <= times[key]) {
         // Still good
-        func = funcs[fname];
+        func = funcs[key];
     }
 
     // If we don't already have it, read it
     if (!func) {
-        let fcont, parsed;
-
-        // A header is needed to make usable local variables and specialized functions
-        let header = "";
-        for (const global of globals)
-            header += "var " + global + " = module." + global + ";\n";
-
-        header +=
-            "function compile(name) {\n" +
-            "name = (name[0]==='/') ? name : (" + JSON.stringify(path.dirname(fname) + "/") + "+name);\n" +
-            "return module.compileAbsolute(name);\n" +
-            "}\n" +
-            "async function include(name) {\n" +
-            "var sm = {" + globals.join(",") + ",included:true,exports:{}};\n" +
-            "var a = [sm].concat(Array.prototype.slice.call(arguments, 1));\n" +
-            "await (compile(name).apply(null, a));\n" +
-            "return sm.exports;\n" +
-            "}\n";
-
-        // Compile
-        fcont = fs.readFileSync(fname, "utf8");
-        parsed = parse(fcont);
-        func = new AsyncFunction("module", header + parsed);
-
-        times[fname] = sbuf.mtimeMs;
-        funcs[fname] = func;
+        let parsed, map, sourceLines;
+
+        // Parse, or use the persistent cache
+        const cached = loadCached(key, sbuf);
+        if (cached) {
+            parsed = cached.parsed;
+            map = cached.map;
+            sourceLines = cached.sourceLines;
+        } else {
+            map = [];
+            const fcont = fs.readFileSync(fname, "utf8");
+            parsed = parser.parse(fcont, {rawEcho, map, filename: fname});
+            sourceLines = parser.lineStarts(fcont);
+            saveCached(key, sbuf, {parsed, map, sourceLines});
+        }
+
+        const compiled = parser.compileParsed(fname, parsed, map,
+            sourceLines, key);
+        func = compiled.func;
+        sourceMaps[key] = compiled.sm;
+
+        times[key] = sbuf.mtimeMs;
+        funcs[key] = func;
     }
 
     return func;
 }
 
+/**
+ * Path to the persistent cache file for this compiled file
+ */
+function cachePath(key) {
+    return path.join(options.cacheDir,
+        crypto.createHash("sha1").update(key).digest("hex") + ".json");
+}
+
+/**
+ * Load parsed output from the persistent cache, if it's there and still valid
+ * for this version of the file
+ * @returns {Object|null}   {parsed, map, sourceLines}
+ */
+function loadCached(key, sbuf) {
+    if (!options.cacheDir)
+        return null;
+    try {
+        const cached = JSON.parse(fs.readFileSync(cachePath(key), "utf8"));
+        if (cached.version === parser.parserVersion &&
+            cached.key === key &&
+            cached.mtime === sbuf.mtimeMs &&
+            cached.size === sbuf.size)
+            return cached;
+    } catch (ex) {}
+    return null;
+}
+
+/**
+ * Save parsed output to the persistent cache. This happens in the background,
+ * and failure is harmless.
+ */
+function saveCached(key, sbuf, data) {
+    if (!options.cacheDir)
+        return;
+    const file = cachePath(key);
+    const tmp = file + "." + process.pid + ".tmp";
+    const json = JSON.stringify({
+        version: parser.parserVersion,
+        key,
+        mtime: sbuf.mtimeMs,
+        size: sbuf.size,
+        parsed: data.parsed,
+        map: data.map,
+        sourceLines: data.sourceLines
+    });
+
+    // Write it atomically, so that other runners never see part of it
+    fs.mkdir(options.cacheDir, {recursive: true}, () => {
+        fs.writeFile(tmp, json, err => {
+            if (err)
+                return;
+            fs.rename(tmp, file, err => {
+                if (err)
+                    fs.unlink(tmp, () => {});
+            });
+        });
+    });
+}
+
+/**
+ * Rewrite a stack trace so that locations in compiled pages refer to the JSS
+ * files they came from
+ */
+function mapStack(stack) {
+    return String(stack).split("\n").map(line => {
+        const frame = /^(.*?)([^\s(]+):([0-9]+):([0-9]+)(\)?)$/.exec(line);
+        if (!frame || !(frame[2] in sourceMaps))
+            return line;
+        const sm = sourceMaps[frame[2]];
+        const pos = parser.mapPosition(sm, +frame[3], +frame[4]);
+        if (!pos)
+            return frame[1] + sm.file + frame[5];
+        return `${frame[1]}${sm.file}:${pos.line}:${pos.column}${frame[5]}`;
+    }).join("\n");
+}
+
+/**
+ * Run a compiled page, and then the layout it extends, if any
+ * @param {Function} func   The compiled page
+ * @param {Object} module   Its module object
+ * @param {Array} [args]    Further arguments, from include
+ */
+async function runPage(func, module, args) {
+    await func.apply(null, [module].concat(args || []));
+
+    if (module.extends) {
+        const name = module.extends;
+        const layout = compile(name);
+        if (!layout)
+            throw new Error(`Layout ${name} not found`);
+
+        // The layout shares the page's blocks and exports
+        const lm = {included: true, exports: module.exports, blocks: module.blocks};
+        for (const global of parser.globals)
+            lm[global] = module[global];
+        await runPage(layout, lm);
+    }
+}
+
+/**
+ * Make this page extend a layout, which is run after the page, and renders the
+ * blocks it defines
+ */
+function extendLayout(module, name) {
+    if (module.extends)
+        throw new Error("A page can only extend one layout");
+    module.extends = name;
+    if (!module.blocks)
+        module.blocks = {defs: {}, rendering: 0};
+}
+
+/**
+ * Define or render a block. In a page that extends a layout, this defines the
+ * block; otherwise (or within a block being rendered), it renders the block,
+ * falling back to def, the default content.
+ */
+function block(module, name, def) {
+    if (!module.blocks)
+        module.blocks = {defs: {}, rendering: 0};
+    const blocks = module.blocks;
+
+    if (module.extends && !blocks.rendering) {
+        // Define it, behind any definition from a page extending this one
+        if (typeof def !== "function")
+            throw new TypeError(`Block ${name} must be defined by a function`);
+        if (!blocks.defs[name])
+            blocks.defs[name] = [];
+        blocks.defs[name].push(def);
+        return Promise.resolve();
+    }
+
+    // Render the most specific definition, which may call its parent
+    const chain = (blocks.defs[name] || []).concat(def ? [def] : []);
+    return renderBlock(blocks, chain, 0);
+}
+
+/**
+ * Render one definition in a chain of block definitions, giving it a function
+ * to render its parent
+ * @internal
+ */
+async function renderBlock(blocks, chain, idx) {
+    if (idx >= chain.length)
+        return;
+    blocks.rendering++;
+    try {
+        await chain[idx](() => renderBlock(blocks, chain, idx + 1));
+    } finally {
+        blocks.rendering--;
+    }
+}
+
+/**
+ * Layout functions, as given to pages
+ */
+const layouts = {extend: extendLayout, block, run: runPage};
+
+/**
+ * Get the body parsers for the current request, loading any given by the
+ * application
+ */
+function bodyParsers() {
+    const config = options.bodyParsers || {};
+    const key = JSON.stringify(config);
+    if (!bodyParserLists[key]) {
+        const custom = {};
+        for (const type in config) {
+            // Load each module only when it's needed
+            const mod = config[type];
+            custom[type] = (body, info) => {
+                if (!bodyParserModules[mod])
+                    bodyParserModules[mod] = require(mod);
+                return bodyParserModules[mod](body, info);
+            };
+        }
+        bodyParserLists[key] = bodyparser.makeParsers(custom);
+    }
+    return bodyParserLists[key];
+}
+
+/**
+ * Make the entry in request.files for an uploaded file. Large files are left
+ * in the temporary file the server spooled them to, and only read if their
+ * data is asked for.
+ */
+function uploadedFile(part) {
+    const file = {
+        filename: part.filename,
+        name: part.name,
+        type: part.type,
+        headers: part.headers,
+        size: part.size
+    };
+    if (part.path) {
+        let data = null;
+        file.path = part.path;
+        Object.defineProperty(file, "data", {
+            enumerable: true,
+            get: () => data || (data = fs.readFileSync(part.path))
+        });
+    } else {
+        file.data = Buffer.from(part.data, "binary");
+    }
+    return file;
+}
+
 /**
  * The main entry point. Run the given params.
  */
-function run(db, params, req, body, res) {
+function run(db, params, req, body, parts, res) {
     const pname = `${params.REQUEST_SCHEME}://${params.SERVER_NAME}:${params.SERVER_PORT}${params.REQUEST_URI}`;
     const fname = params.DOCUMENT_ROOT + params.SCRIPT_NAME;
     let realName = fname;
@@ -221,6 +379,16 @@ function run(db, params, req, body, res) {
     } catch (ex) {}
     let func;
 
+    // Fill in the request
+    request.prepare(req, params, options);
+
+    // HEAD requests run the page, but send no body
+    if (req.method === "HEAD")
+        res.head = true;
+
+    // The response needs the request to answer conditional requests
+    res.request = req;
+
     // Compile the page
     try {
         func = compile(fname);
@@ -247,7 +415,7 @@ function run(db, params, req, body, res) {
     }
 
     // Create a session
-    const s = new session.Session(db, req, res);
+    const s = new session.Session(() => sessionStore(db), req, res, options.session);
 
     // Set up its module object
     const module = {
@@ -258,6 +426,8 @@ function run(db, params, req, body, res) {
         write: res.write.bind(res),
         session: s,
         compileAbsolute: compile,
+        escapeHTML,
+        layouts,
         require: require.main.require,
         __dirname: path.dirname(realName),
         __filename: realName,
@@ -265,72 +435,66 @@ function run(db, params, req, body, res) {
     };
 
     // Parse its query string
-    req.query = querystring.parse(req.query);
-
-    // Handle the body
-    if (body) {
-        req.bodyRaw = body = Buffer.from(body, "binary");
-        let ct = (req.headers["content-type"]||"text/plain");
-        ct = contentRE.exec(ct)[1];
-
-        try {
-            switch (ct) {
-                case "application/json":
-                    req.body = JSON.parse(body.toString("utf8"));
-                    break;
-
-                case "application/x-www-form-urlencoded":
-                    req.body = querystring.parse(body.toString("utf8"));
-                    break;
-
-                case "multipart/form-data":
-                {
-                    const boundary = boundaryRE.exec(req.headers["content-type"]);
-                    const parts = multipart.Parse(body.toString("utf8"), boundary[1] || boundary[2]);
-                    req.files = [];
-                    req.body = {};
-                    for (const part of parts) {
-                        if (part.filename) {
-                            req.files.push(part);
-                        } else if (part.name) {
-                            try {
-                                req.body[part.name] = part.data.toString("utf8");
-                            } catch (ex) {
-                                req.body[part.name] = part.data;
-                            }
-                        }
-                    }
-                    break;
+    const nested = !!options.nestedQuery;
+    req.query = bodyparser.parseQuery(req.query, nested);
+
+    // Handle the body. Multipart bodies are already parsed by the server.
+    if (parts) {
+        const fields = [];
+        req.files = [];
+        for (const part of parts) {
+            if (part.filename) {
+                req.files.push(uploadedFile(part));
+            } else if (part.name !== null) {
+                const charset = multipart.parseParams(part.headers["content-type"] || "").charset;
+                let value;
+                try {
+                    value = bodyparser.decodeText(Buffer.from(part.data || "", "binary"), charset);
+                } catch (ex) {
+                    value = Buffer.from(part.data || "", "binary").toString("utf8");
                 }
-
-                case "text/plain":
-                    req.body = body.toString("utf8");
-                    break;
+                fields.push([part.name, value]);
             }
-        } catch (ex) {
-            req.bodyException = ex;
         }
+        if (nested) {
+            req.body = bodyparser.nest(fields);
+        } else {
+            req.body = {};
+            for (const [name, value] of fields)
+                req.body[name] = value;
+        }
+
+    } else if (body) {
+        // Other bodies are only parsed if they're used
+        req.bodyRaw = Buffer.from(body, "binary");
+        bodyparser.lazyBody(req, bodyParsers, {nested});
     }
 
     // Enable compression by default
     res.compress(req);
 
+    // Buffer the whole page if asked to
+    if (options.bufferOutput)
+        res.bufferStart();
+    if (options.autoETag)
+        res.autoETag();
+
     // Cry a lot if we time out
     let timeout = setTimeout(() => {
         // No safe way to kill this but to kill it
         process.exit(0);
-    }, 30000);
+    }, defaultTimeLimit);
 
-    // Allow a different timeout (FIXME: inelegant)
+    // Allow a different timeout, or none (FIXME: inelegant)
     res.setTimeLimit = function(tl) {
         clearTimeout(timeout);
-        timeout = setTimeout(() => {
+        timeout = tl ? setTimeout(() => {
             process.exit(0);
-        }, tl);
+        }, tl) : null;
     };
 
     // Run it
-    func(module).then(() => {
+    runPage(func, module).then(() => {
         clearTimeout(timeout);
         finish();
     }).catch((ex) => {
@@ -339,25 +503,62 @@ function run(db, params, req, body, res) {
             c: "x",
             p: pname,
             f: fname,
-            e: ex + "\n" + ex.stack
+            e: ex + "\n" + mapStack(ex && ex.stack)
         });
+        if (!res.sentHeaders && res.buffers.length) {
+            // Nothing's been sent yet, so we can make it a proper error
+            res.buffers = [];
+            res.code = 500;
+        }
         res.write("ERROR");
         finish();
     });
 
     // Close when we're done
     function finish() {
-        s.close(); // No await, just let it finish in the background
-        res.end();
+        // Write back the session before ending, so the client's next request sees it
+        s.close().catch(ex => {
+            process.send({
+                c: "x",
+                p: pname,
+                f: fname,
+                e: ex + "\n" + ex.stack
+            });
+        }).then(() => {
+            res.end();
 
-        // So that future requires don't cache our stuff, delete the whole cache
-        for (const m in require.cache) {
-            if (/\.js(on)?$/.test(m) && !requireCacheCleanState[m])
-                delete require.cache[m];
-        }
+            // So that future requires don't cache our stuff, delete the whole cache
+            for (const m in require.cache) {
+                if (/\.js(on)?$/.test(m) && !requireCacheCleanState[m])
+                    delete require.cache[m];
+            }
+        });
     }
 }
 
+/**
+ * Get the session store for a request
+ * @internal
+ */
+function sessionStore(db) {
+    return sessionstore.create({
+        store: options.sessionStore,
+        db,
+        secret: options.sessionSecret,
+        options: options.sessionStoreOptions
+    });
+}
+
+/**
+ * Join buffered output into a string, or a Buffer if any of it is binary
+ */
+function joinChunks(chunks) {
+    if (chunks.every(chunk => typeof chunk === "string"))
+        return chunks.join("");
+    return Buffer.concat(chunks.map(chunk =>
+        (typeof chunk === "string") ? Buffer.from(chunk) : chunk));
+}
+
 /**
  * Our response simulacrum, which sends actual response data back to the
  * server.
@@ -367,39 +568,37 @@ function Response() {
     this.headers = {"content-type": "text/html"};
     this.sentHeaders = false;
     this.ended = false;
+    this.head = false;
+    this.request = null;
+    this.buffers = [];
+    this.etagBuffer = null;
     this.compression = null;
     this.compressor = null;
+    this.policy = null;
+    this.pending = null;
+    this.disconnected = false;
+    this.closeHandlers = [];
+    this.ackWaiter = null;
 }
 
-// Enable compression
+// Enable compression, if the client supports it and the output turns out to
+// be worth compressing. Pass null to disable compression.
 Response.prototype.compress = function(req) {
+    if (this.sentHeaders)
+        return;
     if (!req) {
         this.compression = null;
-        this.setHeader("content-encoding", "identity");
+        this.policy = null;
         return;
     }
 
-    // Check for supported compression
-    const supported = {};
-    for (const enc of (req.headers["accept-encoding"]||"").split(","))
-        supported[enc.trim()] = true;
-
-    if (supported.br && zlib.createBrotliCompress) {
-        // Brotli
-        this.compression = "br";
-    } else if (supported.gzip && zlib.createGzip) {
-        this.compression = "gzip";
-    } else {
-        this.compression = null;
-    }
-
-    if (this.compression)
-        this.setHeader("content-encoding", this.compression);
-    else
-        this.setHeader("content-encoding", "identity");
+    this.policy = compression.policy(options);
+    this.compression = compression.choose(req.headers["accept-encoding"]);
 
-    /* We don't initialize the compressor until we've actually started writing
-     * data, in case they change their mind */
+    /* Output is held back until there's enough of it to decide whether to
+     * compress, and we don't initialize the compressor until then */
+    if (!this.pending)
+        this.pending = {chunks: [], size: 0};
 }
 
 Response.prototype.writeHead = function(code, headers) {
@@ -407,23 +606,174 @@ Response.prototype.writeHead = function(code, headers) {
         // Ruh roh!
         return;
     }
+    if (code)
+        this.code = code;
     if (headers) {
         for (const h in headers)
-            this.headers[h.toLowerCase()] = headers[h];
+            this.setHeader(h, headers[h]);
     }
-    process.send({c: "h", x: code, h: this.headers});
+    if (this.buffers.length || this.pending) {
+        // Send them when the output is actually sent
+        return;
+    }
+    process.send({c: "h", x: this.code, h: this.headers});
     this.sentHeaders = true;
 }
 
 Response.prototype.setHeader = function(name, value) {
+    if (value instanceof Array)
+        value = value.slice(0);
     this.headers[name.toLowerCase()] = value;
 }
 
+// Add a value to a header, making it multi-valued if it's already set
+Response.prototype.appendHeader = function(name, value) {
+    name = name.toLowerCase();
+    const prev = this.headers[name];
+    if (typeof prev === "undefined")
+        this.setHeader(name, value);
+    else
+        this.headers[name] = [].concat(prev, value);
+}
+
+Response.prototype.getHeader = function(name) {
+    return this.headers[name.toLowerCase()];
+}
+
+Response.prototype.removeHeader = function(name) {
+    delete this.headers[name.toLowerCase()];
+}
+
+// Set a cookie, replacing any cookie of the same name set by this response
+Response.prototype.setCookie = function(name, value, opts) {
+    opts = Object.assign({path: "/"}, opts);
+    const prev = [].concat(this.headers["set-cookie"] || []).filter(
+        c => c.slice(0, c.indexOf("=")) !== name);
+    prev.push(cookie.serialize(name, value, opts));
+    this.headers["set-cookie"] = prev;
+}
+
+// Tell the client to delete a cookie. opts must have the same path and domain
+// as when the cookie was set.
+Response.prototype.clearCookie = function(name, opts) {
+    opts = Object.assign({}, opts, {expires: new Date(0)});
+    delete opts.maxAge;
+    this.setCookie(name, "", opts);
+}
+
+// Set the ETag, and if the client already has this version, answer 304 and
+// end the response, returning true. Pages should stop if it returns true.
+Response.prototype.etag = function(value, weak) {
+    const tag = formatETag(value, weak);
+    this.setHeader("etag", tag);
+    if (conditional(this.request) &&
+        etagMatches(this.request.headers["if-none-match"], tag))
+        return this.notModified();
+    return false;
+}
+
+// Set Last-Modified, and if the client's copy is as new, answer 304 and end
+// the response, returning true. If-None-Match takes precedence.
+Response.prototype.lastModified = function(date) {
+    date = new Date(date);
+    if (isNaN(date.getTime()))
+        return false;
+    this.setHeader("last-modified", date.toUTCString());
+    const req = this.request;
+    if (!conditional(req) || req.headers["if-none-match"])
+        return false;
+    const since = Date.parse(req.headers["if-modified-since"] || "");
+    if (isNaN(since) || Math.floor(date.getTime() / 1000) > Math.floor(since / 1000))
+        return false;
+    return this.notModified();
+}
+
+// Set Cache-Control, from a string, or options such as
+// {public: true, maxAge: 3600}
+Response.prototype.cacheControl = function(opts) {
+    if (typeof opts === "string") {
+        this.setHeader("cache-control", opts);
+        return;
+    }
+    const directives = [];
+    for (const key in (opts || {})) {
+        const value = opts[key];
+        if (value === false || value === null || typeof value === "undefined")
+            continue;
+        const name = cacheDirectives[key] ||
+            key.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+        if (value === true)
+            directives.push(name);
+        else if (typeof value === "number")
+            directives.push(name + "=" + Math.max(0, Math.floor(value)));
+        else
+            directives.push(name + "=\"" + String(value).replace(/["\\]/g, "") + "\"");
+    }
+    this.setHeader("cache-control", directives.join(", "));
+}
+
+// Answer 304 Not Modified, discarding any output, and end the response.
+// Returns false if it's too late to.
+Response.prototype.notModified = function() {
+    if (this.ended || this.sentHeaders)
+        return false;
+    this.buffers = [];
+    this.pending = null;
+    this.etagBuffer = null;
+    if (this.policy && compression.compressible(this.policy, this.headers["content-type"]))
+        addVary(this, "Accept-Encoding");
+    this.compression = null;
+    for (const name of ["content-type", "content-length", "content-encoding"])
+        delete this.headers[name];
+    this.code = 304;
+    this.end();
+    return true;
+}
+
+// Tag the page's whole output with a weak ETag when it ends, buffering it to
+// do so, unless the page sets its own ETag
+Response.prototype.autoETag = function(enable) {
+    if (enable === false) {
+        this.etagBuffer = null;
+        return;
+    }
+    if (this.sentHeaders || this.etagBuffer)
+        return;
+    this.bufferStart();
+    this.etagBuffer = this.buffers[this.buffers.length - 1];
+}
+
+// Start buffering output. Buffers nest, and output goes to the innermost.
+Response.prototype.bufferStart = function() {
+    this.buffers.push([]);
+}
+
+// Get the contents of the innermost buffer
+Response.prototype.bufferGet = function() {
+    if (!this.buffers.length)
+        return null;
+    return joinChunks(this.buffers[this.buffers.length - 1]);
+}
+
+// Stop buffering, and write out what was buffered
+Response.prototype.bufferEnd = function() {
+    if (!this.buffers.length)
+        return;
+    const chunks = this.buffers.pop();
+    if (chunks.length)
+        this.write(joinChunks(chunks));
+}
+
+// Stop buffering, and throw away what was buffered, returning it
+Response.prototype.bufferDiscard = function() {
+    if (!this.buffers.length)
+        return null;
+    return joinChunks(this.buffers.pop());
+}
+
 Response.prototype.write = function(data) {
-    if (this.ended)
+    if (this.ended || this.disconnected)
         return;
-    if (!this.sentHeaders)
-        this.writeHead(200);
 
     // Convert to a sendable type
     if (typeof data === "object") {
@@ -438,18 +788,30 @@ Response.prototype.write = function(data) {
         data = data+"";
     }
 
+    if (this.buffers.length) {
+        this.buffers[this.buffers.length - 1].push(data);
+        return;
+    }
+
+    if (this.pending) {
+        // Hold back small output until we know whether to compress it
+        this.pending.chunks.push(data);
+        this.pending.size += Buffer.byteLength(data);
+        if (this.policy && this.pending.size < this.policy.compressThreshold)
+            return;
+        startOutput(this, true);
+        return;
+    }
+
+    if (!this.sentHeaders)
+        this.writeHead();
+    if (this.head)
+        return;
+
     // Use the compressor if needed
     if (this.compression) {
         if (!this.compressor) {
-            switch (this.compression) {
-                case "br": // Brotli
-                    this.compressor = zlib.createBrotliCompress();
-                    break;
-
-                case "gzip":
-                    this.compressor = zlib.createGzip();
-                    break;
-            }
+            this.compressor = compression.create(this.policy, this.compression);
 
             this.compressor.on("data", (chunk) => {
                 process.send({c: "w", x: chunk.toString("binary")});
@@ -471,24 +833,474 @@ Response.prototype.write = function(data) {
     }
 }
 
+// Send everything written so far to the client, even through the compressor.
+// Doesn't affect output buffers.
+Response.prototype.flush = function() {
+    if (this.ended || this.disconnected || this.buffers.length)
+        return;
+    if (this.pending)
+        startOutput(this, true);
+    if (!this.sentHeaders)
+        this.writeHead();
+    if (this.compressor)
+        compression.flush(this.compressor, this.compression);
+}
+
+// Start a stream of server-sent events
+Response.prototype.sse = function(opts) {
+    return new EventStream(this, opts || {});
+}
+
+// Send a file as the whole response, supporting Range requests, and end the
+// response. Returns a promise.
+Response.prototype.sendFile = async function(file, opts) {
+    opts = opts || {};
+    const stat = await fs.promises.stat(file);
+    if (!stat.isFile())
+        throw new Error(file + " is not a file");
+    const size = stat.size;
+    rawOutput(this);
+
+    this.setHeader("content-type", opts.type || mime.lookup(file));
+    this.setHeader("accept-ranges", "bytes");
+    if (opts.filename || opts.disposition) {
+        this.setHeader("content-disposition", contentDisposition(
+            opts.disposition || "attachment",
+            opts.filename || path.basename(file)));
+    }
+
+    // The client may already have it
+    let tag = null;
+    if (opts.cache !== false) {
+        tag = "\"" + size.toString(16) + "-" + Math.floor(stat.mtimeMs).toString(16) + "\"";
+        if (this.etag(tag) || this.lastModified(stat.mtime))
+            return;
+    }
+
+    // Or only want part of it
+    const req = this.request || {headers: {}};
+    let ranges = null;
+    if (req.method === "GET" && ifRange(req.headers["if-range"], tag, stat.mtime))
+        ranges = range.parse(req.headers.range, size);
+
+    if (ranges === false) {
+        this.writeHead(416, {"content-range": "bytes */" + size});
+        this.end();
+        return;
+    }
+
+    if (!ranges) {
+        // The whole file
+        this.writeHead(200, {"content-length": size});
+        if (size)
+            await sendStream(this, fs.createReadStream(file, {highWaterMark: chunkSize}));
+
+    } else if (ranges.length === 1) {
+        const r = ranges[0];
+        this.writeHead(206, {
+            "content-range": "bytes " + r.start + "-" + r.end + "/" + size,
+            "content-length": r.end - r.start + 1
+        });
+        await sendStream(this, fs.createReadStream(file,
+            {start: r.start, end: r.end, highWaterMark: chunkSize}));
+
+    } else {
+        // Several ranges, as multipart/byteranges
+        const boundary = crypto.randomBytes(16).toString("hex");
+        const type = this.headers["content-type"];
+        const heads = ranges.map((r, i) => Buffer.from(
+            (i ? "\r\n" : "") + "--" + boundary + "\r\n" +
+            "Content-Type: " + type + "\r\n" +
+            "Content-Range: bytes " + r.start + "-" + r.end + "/" + size + "\r\n\r\n"));
+        const tail = Buffer.from("\r\n--" + boundary + "--\r\n");
+        let length = tail.length;
+        ranges.forEach((r, i) => length += heads[i].length + r.end - r.start + 1);
+
+        this.writeHead(206, {
+            "content-type": "multipart/byteranges; boundary=" + boundary,
+            "content-length": length
+        });
+        for (let i = 0; i < ranges.length; i++) {
+            if (!await sendChunk(this, heads[i]))
+                break;
+            if (!await sendStream(this, fs.createReadStream(file,
+                {start: ranges[i].start, end: ranges[i].end, highWaterMark: chunkSize})))
+                break;
+        }
+        await sendChunk(this, tail);
+    }
+
+    this.end();
+}
+
+// Send a readable stream as the whole response, and end the response. Returns
+// a promise.
+Response.prototype.pipe = async function(stream, opts) {
+    opts = opts || {};
+    rawOutput(this);
+    if (opts.type)
+        this.setHeader("content-type", opts.type);
+    if (typeof opts.length === "number")
+        this.setHeader("content-length", opts.length);
+    if (opts.filename || opts.disposition) {
+        this.setHeader("content-disposition", contentDisposition(
+            opts.disposition || "attachment", opts.filename));
+    }
+    this.writeHead();
+    try {
+        await sendStream(this, stream);
+    } finally {
+        this.end();
+    }
+}
+
 Response.prototype.end = function() {
     if (this.ended)
         return;
+    if (this.etagBuffer && autoETag(this))
+        return;
+    while (this.buffers.length)
+        this.bufferEnd();
+    if (this.pending)
+        startOutput(this, false);
     if (!this.sentHeaders)
-        this.writeHead(200);
+        this.writeHead();
     if (this.compressor)
         this.compressor.end();
     else
         process.send({c: "e"});
     this.ended = true;
+    closeResponse(this);
+}
+
+/**
+ * Cache-Control directives whose names aren't just their option names in
+ * kebab-case
+ */
+const cacheDirectives = {
+    sMaxAge: "s-maxage"
+};
+
+/**
+ * Check whether a request may be answered with 304 Not Modified
+ * @internal
+ */
+function conditional(req) {
+    return !!req && (req.method === "GET" || req.method === "HEAD");
 }
 
+/**
+ * Make an ETag header from a value, which may already be a quoted ETag
+ * @internal
+ */
+function formatETag(value, weak) {
+    let tag = String(value);
+    if (!/^(W\/)?"[\x21\x23-\x7e]*"$/.test(tag))
+        tag = "\"" + encodeURIComponent(tag) + "\"";
+    if (weak && !/^W\//.test(tag))
+        tag = "W/" + tag;
+    return tag;
+}
+
+/**
+ * Check whether an ETag matches an If-None-Match header, by weak comparison
+ * @internal
+ */
+function etagMatches(header, tag) {
+    if (!header)
+        return false;
+    const opaque = t => t.replace(/^W\//, "");
+    const tags = String(header).match(/(W\/)?"[^"]*"|\*/g) || [];
+    return tags.some(t => t === "*" || opaque(t) === opaque(tag));
+}
+
+/**
+ * Tag a page's whole output with a weak ETag, from its hash, answering 304 if
+ * the client already has it. Returns true if it did.
+ * @internal
+ */
+function autoETag(res) {
+    const all = res.etagBuffer;
+    res.etagBuffer = null;
+
+    // Only if all of the output is still there
+    const idx = res.buffers.indexOf(all);
+    if (idx < 0 || res.buffers.slice(0, idx).some(chunks => chunks.length) ||
+        res.sentHeaders || (res.pending && res.pending.size) ||
+        res.code !== 200 || res.headers.etag)
+        return false;
+
+    // Gather it into the one buffer, then hash it
+    while (res.buffers.length > idx + 1)
+        res.bufferEnd();
+    const hash = crypto.createHash("sha1");
+    for (const chunk of all)
+        hash.update(chunk);
+    return res.etag("\"" + hash.digest("base64").replace(/=+$/, "") + "\"", true);
+}
+
+/**
+ * Decide whether to compress a response, now that we've seen enough of it,
+ * then send the output held back until now.
+ * @internal
+ * @param res       The response
+ * @param {boolean} large   Whether there's enough output to be worth
+ *                          compressing
+ */
+function startOutput(res, large) {
+    const pending = res.pending;
+    res.pending = null;
+
+    if (res.policy && res.code !== 204 && res.code !== 304 &&
+        !res.headers["content-encoding"] &&
+        compression.compressible(res.policy, res.headers["content-type"])) {
+        // Other clients may get it compressed, even if this one doesn't
+        addVary(res, "Accept-Encoding");
+        if (!large)
+            res.compression = null;
+    } else {
+        res.compression = null;
+    }
+    if (res.compression)
+        res.setHeader("content-encoding", res.compression);
+
+    res.writeHead();
+    for (const chunk of pending.chunks)
+        res.write(chunk);
+}
+
+/**
+ * Add a header name to a response's Vary header, if it's not already there.
+ * @internal
+ */
+function addVary(res, name) {
+    const vary = [].concat(res.headers.vary || []).join(", ");
+    const names = vary.split(",").map(v => v.trim().toLowerCase());
+    if (names.indexOf(name.toLowerCase()) >= 0 || names.indexOf("*") >= 0)
+        return;
+    res.headers.vary = vary ? vary + ", " + name : name;
+}
+
+/**
+ * Call everything waiting for this response to end or its client to go away.
+ * @internal
+ */
+function closeResponse(res) {
+    const handlers = res.closeHandlers;
+    res.closeHandlers = [];
+    for (const handler of handlers)
+        handler();
+    ackResponse(res, false);
+}
+
+/**
+ * Tell a response waiting to send its next chunk whether to go ahead.
+ * @internal
+ */
+function ackResponse(res, ok) {
+    const waiter = res.ackWaiter;
+    res.ackWaiter = null;
+    if (waiter)
+        waiter(ok);
+}
+
+/**
+ * Prepare a response for output which has to go straight to the client, as
+ * is: no buffers, no compression, and no time limit, as it may take a while.
+ * Throws if it's too late.
+ * @internal
+ */
+function rawOutput(res) {
+    if (res.sentHeaders || res.ended)
+        throw new Error("Output has already been sent");
+    res.buffers = [];
+    res.pending = null;
+    res.etagBuffer = null;
+    res.compress(null);
+    if (res.setTimeLimit)
+        res.setTimeLimit(0);
+}
+
+/**
+ * Send a chunk of raw output, resolving to true once the server has passed it
+ * on to the client, or false if the client is gone.
+ * @internal
+ */
+function sendChunk(res, chunk) {
+    if (res.ended || res.disconnected)
+        return Promise.resolve(false);
+    if (res.head)
+        return Promise.resolve(true);
+    return new Promise(resolve => {
+        res.ackWaiter = resolve;
+        process.send({c: "w", x: chunk.toString("binary"), a: true});
+    });
+}
+
+/**
+ * Send a readable stream as raw output, a chunk at a time. Resolves to true
+ * if it was all sent, or false if the client went away.
+ * @internal
+ */
+async function sendStream(res, stream) {
+    if (res.head) {
+        stream.destroy();
+        return true;
+    }
+    try {
+        for await (let chunk of stream) {
+            if (typeof chunk === "string")
+                chunk = Buffer.from(chunk);
+            if (!await sendChunk(res, chunk))
+                return false;
+        }
+        return true;
+    } finally {
+        stream.destroy();
+    }
+}
+
+/**
+ * Make a Content-Disposition header, with a filename for any client
+ * @internal
+ */
+function contentDisposition(type, filename) {
+    if (!filename)
+        return type;
+    const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, "_");
+    let ret = type + "; filename=\"" + fallback + "\"";
+    if (fallback !== filename) {
+        ret += "; filename*=UTF-8''" + encodeURIComponent(filename)
+            .replace(/['()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+    }
+    return ret;
+}
+
+/**
+ * Check an If-Range header, which only allows a range if the client's copy is
+ * this version
+ * @internal
+ */
+function ifRange(header, tag, mtime) {
+    if (!header)
+        return true;
+    header = header.trim();
+    if (/^(W\/)?"/.test(header))
+        return !!tag && header === tag;
+    return Math.floor(mtime.getTime() / 1000) === Math.floor(Date.parse(header) / 1000);
+}
+
+/**
+ * A stream of server-sent events, from response.sse(). The page's time limit
+ * doesn't apply while the stream is open.
+ * @param res       The response
+ * @param {Object} opts     Options:
+ *      heartbeat:  Milliseconds between heartbeats, or 0 for none
+ *      retry:      Milliseconds the client should wait before reconnecting
+ */
+function EventStream(res, opts) {
+    this.response = res;
+
+    // Events have to go straight out, not wait in a buffer or compressor
+    rawOutput(res);
+    res.setHeader("content-type", "text/event-stream; charset=utf-8");
+    res.setHeader("cache-control", "no-cache, no-transform");
+    res.setHeader("x-accel-buffering", "no");
+
+    if (typeof opts.retry === "number")
+        res.write("retry: " + Math.floor(opts.retry) + "\n\n");
+    res.flush();
+
+    // Keep proxies from deciding the connection is idle
+    const heartbeat = (typeof opts.heartbeat === "number") ?
+        opts.heartbeat : defaultHeartbeat;
+    const interval = heartbeat ? setInterval(() => {
+        res.write(":\n\n");
+    }, heartbeat) : null;
+
+    // Resolves when the stream ends or the client goes away
+    this.closed = new Promise(resolve => {
+        res.closeHandlers.push(() => {
+            if (interval)
+                clearInterval(interval);
+            resolve();
+        });
+    });
+}
+
+// Send an event. event and id may be null, and data is JSON-encoded if it's
+// not a string.
+EventStream.prototype.send = function(event, data, id) {
+    const res = this.response;
+    if (typeof data !== "string")
+        data = JSON.stringify(data);
+    let msg = "";
+    if (event !== null && typeof event !== "undefined")
+        msg += "event: " + String(event).replace(/[\r\n]/g, "") + "\n";
+    if (id !== null && typeof id !== "undefined")
+        msg += "id: " + String(id).replace(/[\r\n\0]/g, "") + "\n";
+    for (const line of String(data).split(/\r\n|\r|\n/))
+        msg += "data: " + line + "\n";
+    res.write(msg + "\n");
+    res.flush();
+}
+
+// Send a comment, which clients ignore
+EventStream.prototype.comment = function(text) {
+    const res = this.response;
+    res.write(String(text || "").split(/\r\n|\r|\n/).map(line => ": " + line + "\n").join("") + "\n");
+    res.flush();
+}
+
+// End the stream
+EventStream.prototype.close = function() {
+    this.response.end();
+}
+
+// The server coordinates shutdown, so a SIGTERM sent to the whole process
+// group mustn't cut off the page it's running
+process.on("SIGTERM", () => {});
+
 // Handle messages from the server
 process.on("message", (msg) => {
     switch (msg.c) {
         case "r":
             // Run a command
-            run(msg.d, msg.p, msg.r, msg.b, new Response());
+            options = msg.o || {};
+            currentResponse = new Response();
+            run(msg.d, msg.p, msg.r, msg.b, msg.m, currentResponse);
+            break;
+
+        case "a":
+            // The server passed on our last chunk
+            if (currentResponse)
+                ackResponse(currentResponse, true);
+            break;
+
+        case "c":
+        {
+            // The client went away
+            const res = currentResponse;
+            if (res && !res.ended && !res.disconnected) {
+                res.disconnected = true;
+                closeResponse(res);
+
+                // Give the page a while to notice, even if it had no time limit
+                if (res.setTimeLimit)
+                    res.setTimeLimit(defaultTimeLimit);
+            }
+            break;
+        }
+
+        case "w":
+            // Warm up by compiling these pages, then tell the server we're ready
+            for (const page of msg.p) {
+                options = page.o || {};
+                try {
+                    compile(page.f);
+                } catch (ex) {}
+            }
+            process.send({c: "r"});
             break;
 
         case "t":
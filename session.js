@@ -14,33 +14,110 @@
  * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
  */
 
-/* Support for session variable storage, using SQLite3 */
+/* Support for session variables, kept in a session store (see
+ * sessionstore.js). A session's variables are loaded once, when it's
+ * initialized, and any changes are written back together when the page is
+ * done. */
 
-const util = require("util");
+const crypto = require("crypto");
 
 const cookie = require("cookie");
-const sqlite3 = require("sqlite3");
 
-function up(obj, meth) {
-    return util.promisify(obj[meth].bind(obj));
+/**
+ * Default name of the session cookie
+ */
+const defaultCookieName = "NJSPSESSID";
+
+/**
+ * What a session ID looks like. Anything else in the cookie is ignored.
+ */
+const sidRE = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * How often to delete expired sessions, in milliseconds
+ */
+const cleanupInterval = 10*60*1000;
+
+/**
+ * Prefix of the keys of flash values, which are kept with the rest
+ */
+const flashPrefix = "njspflash:";
+
+/**
+ * How long a page may hold a session's lock by default, in seconds
+ */
+const defaultLockTimeout = 10;
+
+/**
+ * How often to check whether a locked session has been unlocked, in
+ * milliseconds
+ */
+const lockPoll = 25;
+
+/**
+ * When each store was last cleaned up
+ */
+const lastCleanup = new WeakMap();
+
+/**
+ * Make a new session ID
+ * @internal
+ */
+function newSID() {
+    return crypto.randomBytes(32).toString("base64url");
 }
 
-async function rollback(db) {
-    try {
-        await up(db, "run")("ROLLBACK;");
-    } catch (ex) {}
+/**
+ * Copy a value, as stores do by storing it as JSON
+ * @internal
+ */
+function copy(value) {
+    return (typeof value === "undefined") ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Get when a value set with these options expires, or null if it lasts as
+ * long as the session
+ * @internal
+ */
+function keyExpiry(opts) {
+    return (opts && opts.ttl) ? Date.now() + opts.ttl * 1000 : null;
 }
 
 /**
  * The session object. Handles all cookie-to-session conversion.
+ * @param getStore  Function to get the session store (from
+ *                  sessionstore.create), called when the session is first
+ *                  initialized, so pages without sessions don't need one
+ * @param request   The request
+ * @param response  The response, or an object with setCookie and clearCookie
+ * @param [defaults]    Default configuration for init, from the server
  */
-function Session(db, request, response) {
-    this.db = new sqlite3.Database(db);
-    this.run = up(this.db, "run");
-    this.dbGet = up(this.db, "get");
+function Session(getStore, request, response, defaults) {
+    this.getStore = getStore;
+    this.store = null;
     this.request = request;
     this.response = response;
+    this.defaults = defaults || {};
     this.inited = false;
+    this.destroyed = false;
+
+    // The session's data, and the keys changed since it was loaded
+    this.data = null;
+    this.dirty = new Set();
+
+    // When values expire, for those which expire before the session
+    this.keyExpires = new Map();
+
+    // Flash values read by this page
+    this.flashes = new Map();
+
+    // Set if the session's expiry should be pushed back
+    this.touch = false;
+
+    // Who we are when we lock the session, and the session ID we have locked
+    this.owner = crypto.randomBytes(16).toString("base64url");
+    this.locked = null;
 }
 
 /**
@@ -52,139 +129,353 @@ Session.prototype.init = async function(config) {
     let sid = null;
     this.inited = true;
 
-    if (typeof config === "undefined")
-        config = {};
-
+    config = Object.assign({}, this.defaults, config);
     this.expiry = config.expiry = (config.expiry || 60*60*24*30*6);
+    this.config = config;
+    const name = config.name || defaultCookieName;
+    if (!this.store)
+        this.store = this.getStore();
+    const store = this.store;
 
-    // Make sure the database is real
-    await this.run("PRAGMA journal_mode=WAL;");
-    await this.run("CREATE TABLE IF NOT EXISTS session (sid TEXT, key TEXT, value TEXT, expires TEXT);");
-    await this.run("CREATE INDEX IF NOT EXISTS session_sid ON session (sid, key);");
-    await this.run("CREATE INDEX IF NOT EXISTS session_exp ON session (expires);");
-
-    // Try to get the existing session ID
-    if ("cookie" in this.request.headers) {
+    // Try to get the existing session ID, unless we've just destroyed it
+    if ("cookie" in this.request.headers && !this.destroyed) {
         //  Check if our cookie is already there
         const cookies = cookie.parse(this.request.headers.cookie);
-        if ("NJSPSESSID" in cookies) {
-            sid = cookies.NJSPSESSID;
+        if (name in cookies && store.cookie) {
+            // The session is the cookie
+            const state = store.decode(cookies[name]);
+            if (state) {
+                sid = state.sid;
+                this.data = new Map(Object.entries(state.data));
+                this.keyExpires = new Map(Object.entries(state.keyExpires));
+            }
+
+        } else if (name in cookies && sidRE.test(cookies[name])) {
+            // Wait for any other page using the session, if asked to
+            if (config.lock)
+                await this.lock(cookies[name]);
+
+            // Load the whole session, if it's actually valid
+            const loaded = await store.load(cookies[name]);
+            if (!loaded) {
+                await this.unlock();
+            } else {
+                sid = cookies[name];
+                this.data = new Map(Object.entries(loaded.data));
 
-            // Check if it's actually valid
-            row = await this.dbGet("SELECT * FROM session WHERE sid=@SID;", {"@SID": sid});
-            if (!row)
-                sid = null;
+                // Push back its expiry once a hundredth of it has passed
+                this.touch = (loaded.expires < Date.now() + config.expiry * 990);
+            }
         }
     }
 
     // If we don't have a response to set a cookie, we can't make a new session
-    if (!this.response)
+    if (!this.response) {
+        this.sid = sid;
         return;
+    }
 
     // Create a new session ID
     if (!sid) {
-        while (true) {
-            let row = null;
-            function part() { return (Math.random()).toString(36).slice(2); }
-            sid = part() + part() + part();
-
-            try {
-                await this.run("BEGIN TRANSACTION;");
-                row = await this.dbGet("SELECT * FROM session WHERE sid=@SID;", {"@SID": sid});
-                if (!row) {
-                    await this.run("INSERT INTO session VALUES (@SID, @KEY, @VALUE, datetime('now','" + config.expiry + " seconds'));", {
-                        "@SID": sid,
-                        "@KEY": "njspsessid",
-                        "@VALUE": JSON.stringify(sid)
-                    });
-                }
-                await this.run("COMMIT;");
-
-                if (!row)
-                    break;
-
-            } catch (ex) {
-                await rollback(this.db);
-            }
+        if (store.cookie) {
+            sid = newSID();
+        } else {
+            do {
+                sid = newSID();
+            } while (!await store.create(sid, config.expiry));
+            if (config.lock)
+                await this.lock(sid);
         }
+        this.data = new Map();
     }
 
     // Put the session ID in a cookie
-    const cook = cookie.serialize("NJSPSESSID", sid, {
-        maxAge: config.expiry,
-        path: (config.path || "/")
-    });
-    this.response.setHeader("set-cookie", cook);
-
     this.sid = sid;
+    this.setCookie();
+
+    // Clean up the store now and then, in the background
+    const now = Date.now();
+    if (!store.cookie && !(now - lastCleanup.get(store) < cleanupInterval)) {
+        lastCleanup.set(store, now);
+        this.cleanup().catch(() => {});
+    }
+}
+
+/**
+ * Get the session cookie's options
+ * @internal
+ */
+Session.prototype.cookieOptions = function() {
+    const config = this.config;
+    const ret = {
+        path: (config.path || "/"),
+        httpOnly: (config.httpOnly !== false),
+        sameSite: (typeof config.sameSite === "undefined") ? "lax" : config.sameSite,
+        secure: (typeof config.secure === "undefined") ?
+            (this.request.protocol === "https") : !!config.secure
+    };
+    if (config.domain)
+        ret.domain = config.domain;
+    return ret;
+}
+
+/**
+ * Send the session cookie, which for stores in the cookie itself has the
+ * whole session
+ * @internal
+ */
+Session.prototype.setCookie = function() {
+    let value = this.sid;
+    if (this.store.cookie) {
+        value = this.store.encode({
+            sid: this.sid,
+            data: Object.fromEntries(this.data),
+            expires: Date.now() + this.config.expiry * 1000,
+            keyExpires: Object.fromEntries(this.keyExpires)
+        });
+    }
+    this.response.setCookie(this.config.name || defaultCookieName, value,
+        Object.assign({maxAge: this.config.expiry}, this.cookieOptions()));
+}
+
+/**
+ * Move this session's data to a new ID, e.g. after logging in, so that an ID
+ * anyone else may have seen is no longer any use
+ */
+Session.prototype.regenerate = async function() {
+    if (!this.sid || !this.response)
+        return;
+    if (this.store.cookie) {
+        this.sid = newSID();
+    } else {
+        let sid;
+        do {
+            sid = newSID();
+        } while (!await this.store.rename(this.sid, sid));
+        this.sid = sid;
+        if (this.locked)
+            this.locked = sid;
+    }
+    this.setCookie();
+}
 
-    // Do cleanup so long as we're here
-    await this.cleanup();
+/**
+ * End this session, deleting its data and telling the client to forget it
+ */
+Session.prototype.destroy = async function() {
+    if (!this.sid)
+        return;
+    if (!this.store.cookie)
+        await this.store.destroy(this.sid);
+    this.locked = null;
+    this.data = null;
+    this.dirty.clear();
+    this.keyExpires.clear();
+    this.sid = null;
+    this.inited = false;
+    this.destroyed = true;
+    if (this.response)
+        this.response.clearCookie(this.config.name || defaultCookieName, this.cookieOptions());
+}
+
+/**
+ * Check whether we have a value for this key which hasn't expired
+ * @internal
+ */
+Session.prototype.has = function(key) {
+    if (this.keyExpires.get(key) <= Date.now()) {
+        this.data.delete(key);
+        this.keyExpires.delete(key);
+    }
+    return this.data.has(key);
 }
 
 Session.prototype.get = async function(key) {
     if (!this.sid)
         return false;
-    const row = await this.dbGet("SELECT value FROM session WHERE sid=@SID AND key=@KEY;", {
-        "@SID": this.sid,
-        "@KEY": key
-    });
-    if (!row)
-        return null;
-    return JSON.parse(row.value);
+    return this.has(key) ? copy(this.data.get(key)) : null;
 }
 
 Session.prototype.getAll = async function() {
     if (!this.sid)
         return null;
-    const rows = await up(this.db, "all")("SELECT * FROM session WHERE sid=@SID;", {"@SID": this.sid});
     const ret = {};
-    for (const row of rows) {
-        ret[row.key] = JSON.parse(row.value);
+    for (const key of Array.from(this.data.keys())) {
+        if (key.indexOf(flashPrefix) !== 0 && this.has(key))
+            ret[key] = copy(this.data.get(key));
     }
     return ret;
 }
 
-Session.prototype.set = async function(key, value) {
+/**
+ * Set a value. If opts.ttl is set, the value expires after that many
+ * seconds, even if the session doesn't.
+ */
+Session.prototype.set = async function(key, value, opts) {
+    if (!this.sid)
+        return;
+    this.data.set(key, copy(value));
+    const expires = keyExpiry(opts);
+    if (expires)
+        this.keyExpires.set(key, expires);
+    else
+        this.keyExpires.delete(key);
+    this.changed(key);
+}
+
+Session.prototype.delete = async function(key) {
     if (!this.sid)
         return;
+    this.data.delete(key);
+    this.keyExpires.delete(key);
+    this.changed(key);
+}
+
+/**
+ * Set a value for the next page to read with getFlash, e.g. a message to show
+ * after redirecting
+ */
+Session.prototype.flash = function(key, value, opts) {
+    return this.set(flashPrefix + key, value, opts);
+}
+
+/**
+ * Get a value set by flash, which is deleted as it's read. It can be read
+ * again by the same page, but no other.
+ */
+Session.prototype.getFlash = async function(key) {
+    if (!this.sid)
+        return null;
+    if (!this.flashes.has(key)) {
+        if (!this.has(flashPrefix + key))
+            return null;
+        this.flashes.set(key, this.data.get(flashPrefix + key));
+        await this.delete(flashPrefix + key);
+    }
+    return copy(this.flashes.get(key));
+}
+
+/**
+ * Change a value based on its current value in the store, atomically, even if
+ * other pages are changing it at the same time. fn is called with the current
+ * value (null if there is none), and returns the new value (null to delete
+ * it). It may be called more than once, if the value changes under it.
+ * Returns the new value. opts are as in set.
+ */
+Session.prototype.update = async function(key, fn, opts) {
+    if (!this.sid)
+        return null;
+    if (this.store.cookie) {
+        // There's only the cookie's copy
+        const value = copy(await fn(this.has(key) ? copy(this.data.get(key)) : null));
+        if (value === null)
+            await this.delete(key);
+        else
+            await this.set(key, value, opts);
+        return copy(value);
+    }
+
+    // Write any change of our own first, so that it's what we're updating
+    if (this.dirty.has(key))
+        await this.save();
+
     while (true) {
-        try {
-            await this.run("BEGIN TRANSACTION;");
-            await this.run("DELETE FROM session WHERE sid=@SID AND key=@KEY;", {
-                "@SID": this.sid,
-                "@KEY": key
-            });
-            await this.run("INSERT INTO session VALUES (@SID, @KEY, @VALUE, datetime('now','" + this.expiry + " seconds'));", {
-                "@SID": this.sid,
-                "@KEY": key,
-                "@VALUE": JSON.stringify(value)
-            });
-            await this.run("COMMIT;");
-            break;
-        } catch (ex) {
-            await rollback(this.db);
+        const old = copy(await this.store.get(this.sid, key));
+        const value = copy(await fn(copy(old)));
+        const expires = keyExpiry(opts);
+        if (await this.store.swap(this.sid, key, old, value, expires)) {
+            if (value === null)
+                this.data.delete(key);
+            else
+                this.data.set(key, value);
+            if (value !== null && expires)
+                this.keyExpires.set(key, expires);
+            else
+                this.keyExpires.delete(key);
+            return copy(value);
         }
     }
 }
 
-Session.prototype.delete = async function(key) {
-    if (!this.sid)
+/**
+ * Add n (default 1) to a number, atomically. Returns the new number. opts are
+ * as in set.
+ */
+Session.prototype.increment = function(key, n, opts) {
+    if (typeof n === "undefined")
+        n = 1;
+    return this.update(key, value => (Number(value) || 0) + n, opts);
+}
+
+/**
+ * Lock the session, waiting for whoever else has it
+ * @internal
+ */
+Session.prototype.lock = async function(sid) {
+    const timeout = this.config.lockTimeout || defaultLockTimeout;
+    while (!await this.store.lock(sid, this.owner, timeout))
+        await new Promise(res => setTimeout(res, lockPoll));
+    this.locked = sid;
+}
+
+/**
+ * Unlock the session, if we have it locked
+ * @internal
+ */
+Session.prototype.unlock = async function() {
+    if (!this.locked)
         return;
-    await this.run("DELETE FROM session WHERE sid=@SID AND key=@KEY;", {
-        "@SID": this.sid,
-        "@KEY": key
-    });
+    const sid = this.locked;
+    this.locked = null;
+    await this.store.unlock(sid, this.owner);
+}
+
+/**
+ * Note that a key has changed. The cookie is sent again right away, as the
+ * headers may be gone by the time the page is done.
+ * @internal
+ */
+Session.prototype.changed = function(key) {
+    if (this.store.cookie)
+        this.setCookie();
+    else
+        this.dirty.add(key);
+}
+
+/**
+ * Write any changes back to the store. This is done when the page is done,
+ * but may be done sooner, e.g. by long-running websocket pages.
+ */
+Session.prototype.save = async function() {
+    if (!this.sid || this.store.cookie || (!this.dirty.size && !this.touch))
+        return;
+    const changes = {set: {}, delete: [], expires: {}};
+    for (const key of this.dirty) {
+        if (this.data.has(key)) {
+            changes.set[key] = this.data.get(key);
+            if (this.keyExpires.has(key))
+                changes.expires[key] = this.keyExpires.get(key);
+        } else {
+            changes.delete.push(key);
+        }
+    }
+    this.dirty.clear();
+    this.touch = false;
+    await this.store.save(this.sid, changes, this.expiry);
 }
 
 Session.prototype.cleanup = async function() {
     if (!this.sid)
         return;
-    await this.run("DELETE FROM session WHERE expires<=datetime('now');");
+    await this.store.cleanup();
 }
 
 Session.prototype.close = async function() {
-    await up(this.db, "close")();
+    try {
+        await this.save();
+    } finally {
+        await this.unlock();
+    }
 }
 
 module.exports = {Session};
@@ -0,0 +1,699 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Storage for session variables. A store keeps the variables of each session
+ * by its session ID, and every method may return a promise:
+ *
+ *  create(sid, expiry)     Create an empty session, which expires in expiry
+ *                          seconds, returning false if the ID is already taken
+ *  load(sid)               Get a session, as {data: {key: value},
+ *                          expires: time in milliseconds}, or null if there is
+ *                          no such session
+ *  save(sid, changes, expiry)
+ *                          Write changes to a session, {set: {key: value},
+ *                          delete: [key], expires: {key: time}}, in one go,
+ *                          and keep the session for expiry more seconds.
+ *                          Values set with a time in expires (in
+ *                          milliseconds) expire then, before the session.
+ *  get(sid, key)           Get one value as it is now, or null if there is
+ *                          none
+ *  swap(sid, key, expected, value, expires)
+ *                          Set a value (or delete it, if value is null), only
+ *                          if it's still expected (null meaning that there's
+ *                          no value), all at once, returning false if it
+ *                          wasn't. expires is as in save, or null.
+ *  lock(sid, owner, timeout)
+ *                          Lock a session for owner for timeout seconds,
+ *                          returning false if someone else has it locked
+ *  unlock(sid, owner)      Unlock a session, if owner has it locked
+ *  destroy(sid)            Delete a whole session
+ *  rename(sid, newSID)     Move a session (and its lock) to a new ID,
+ *                          returning false if the new ID is already taken
+ *  cleanup()               Delete expired sessions
+ *
+ * Each runner makes one of each store it uses, and keeps it. The cookie store
+ * is different: it has cookie set, and keeps the variables in the cookie
+ * itself, with encode and decode methods. */
+
+const crypto = require("crypto");
+const util = require("util");
+
+const sqlite3 = require("sqlite3");
+
+/**
+ * Methods a store serves over IPC
+ */
+const methods = ["create", "load", "save", "get", "swap", "lock", "unlock",
+    "destroy", "rename", "cleanup"];
+
+/**
+ * Longest cookie we'll make. Browsers won't keep much more than 4K.
+ */
+const maxCookieSize = 4000;
+
+/**
+ * How many times to try a transaction while the database is busy (each try
+ * itself waiting up to a second for the database), and how long to wait
+ * before the first retry, in milliseconds (doubling each time, up to a second)
+ */
+const busyTries = 5;
+const busyDelay = 10;
+
+function up(obj, meth) {
+    return util.promisify(obj[meth].bind(obj));
+}
+
+async function rollback(run) {
+    try {
+        await run("ROLLBACK;");
+    } catch (ex) {}
+}
+
+/**
+ * Session storage in an SQLite database. Each session has a row with the key
+ * njspsessid, which marks that it exists and when it expires. Its values'
+ * rows only have an expiry if they expire sooner.
+ * @param {string} db   The database file
+ */
+function SQLiteStore(db) {
+    this.db = new sqlite3.Database(db);
+    this.run = up(this.db, "run");
+    this.dbGet = up(this.db, "get");
+    this.dbAll = up(this.db, "all");
+
+    // Transactions share the connection, so take turns
+    this.queue = Promise.resolve();
+
+    // Make sure the database is real, once
+    this.ready = (async () => {
+        await this.run("PRAGMA journal_mode=WAL;");
+        await this.run("CREATE TABLE IF NOT EXISTS session (sid TEXT, key TEXT, value TEXT, expires TEXT);");
+        await this.run("CREATE INDEX IF NOT EXISTS session_sid ON session (sid, key);");
+        await this.run("CREATE INDEX IF NOT EXISTS session_exp ON session (expires);");
+        await this.run("CREATE TABLE IF NOT EXISTS session_lock (sid TEXT PRIMARY KEY, owner TEXT, expires INTEGER);");
+    })();
+}
+
+/**
+ * Run this function in a transaction, after any others, retrying a few times
+ * if the database is busy. Any other error is thrown.
+ * @internal
+ */
+SQLiteStore.prototype.transaction = function(f) {
+    const ret = this.queue.then(async () => {
+        await this.ready;
+        let delay = busyDelay;
+        for (let tries = 1; ; tries++) {
+            try {
+                await this.run("BEGIN IMMEDIATE TRANSACTION;");
+                const ret = await f();
+                await this.run("COMMIT;");
+                return ret;
+            } catch (ex) {
+                await rollback(this.run);
+                if ((ex.code !== "SQLITE_BUSY" && ex.code !== "SQLITE_LOCKED") ||
+                    tries >= busyTries)
+                    throw ex;
+            }
+            await new Promise(res => setTimeout(res, delay));
+            delay = Math.min(delay * 2, 1000);
+        }
+    });
+    this.queue = ret.catch(() => {});
+    return ret;
+}
+
+SQLiteStore.prototype.create = function(sid, expiry) {
+    return this.transaction(async () => {
+        const row = await this.dbGet("SELECT * FROM session WHERE sid=@SID;", {"@SID": sid});
+        if (row)
+            return false;
+        await this.run("INSERT INTO session VALUES (@SID, 'njspsessid', @VALUE, datetime('now', @EXPIRY));", {
+            "@SID": sid,
+            "@VALUE": JSON.stringify(sid),
+            "@EXPIRY": expiry + " seconds"
+        });
+        return true;
+    });
+}
+
+SQLiteStore.prototype.load = async function(sid) {
+    await this.ready;
+    const rows = await this.dbAll(
+        "SELECT key, value, (julianday(expires) - 2440587.5) * 86400000 AS expires, " +
+        "expires<=datetime('now') AS expired FROM session WHERE sid=@SID;",
+        {"@SID": sid});
+    let ret = null;
+    const data = {};
+    for (const row of rows) {
+        if (row.key === "njspsessid") {
+            if (row.expired)
+                return null;
+            ret = {data, expires: row.expires};
+        } else if (!row.expired) {
+            data[row.key] = JSON.parse(row.value);
+        }
+    }
+    return ret;
+}
+
+SQLiteStore.prototype.save = function(sid, changes, expiry) {
+    return this.transaction(async () => {
+        for (const key of (changes.delete || [])) {
+            await this.run("DELETE FROM session WHERE sid=@SID AND key=@KEY;", {
+                "@SID": sid,
+                "@KEY": key
+            });
+        }
+        for (const key in (changes.set || {})) {
+            await this.run("DELETE FROM session WHERE sid=@SID AND key=@KEY;", {
+                "@SID": sid,
+                "@KEY": key
+            });
+            await this.run("INSERT INTO session VALUES (@SID, @KEY, @VALUE, datetime(@EXPIRES / 1000, 'unixepoch'));", {
+                "@SID": sid,
+                "@KEY": key,
+                "@VALUE": JSON.stringify(changes.set[key]),
+                "@EXPIRES": (changes.expires || {})[key] || null
+            });
+        }
+        await this.run("UPDATE session SET expires=datetime('now', @EXPIRY) WHERE sid=@SID AND key='njspsessid';", {
+            "@SID": sid,
+            "@EXPIRY": expiry + " seconds"
+        });
+    });
+}
+
+SQLiteStore.prototype.get = async function(sid, key) {
+    await this.ready;
+    const row = await this.dbGet("SELECT value FROM session WHERE sid=@SID AND key=@KEY AND " +
+        "(expires IS NULL OR expires>datetime('now'));", {
+        "@SID": sid,
+        "@KEY": key
+    });
+    if (!row)
+        return null;
+    return JSON.parse(row.value);
+}
+
+SQLiteStore.prototype.swap = function(sid, key, expected, value, expires) {
+    return this.transaction(async () => {
+        const row = await this.dbGet("SELECT value FROM session WHERE sid=@SID AND key=@KEY AND " +
+            "(expires IS NULL OR expires>datetime('now'));", {
+            "@SID": sid,
+            "@KEY": key
+        });
+        if ((row ? row.value : null) !== (expected === null ? null : JSON.stringify(expected)))
+            return false;
+        await this.run("DELETE FROM session WHERE sid=@SID AND key=@KEY;", {
+            "@SID": sid,
+            "@KEY": key
+        });
+        if (value !== null) {
+            await this.run("INSERT INTO session VALUES (@SID, @KEY, @VALUE, datetime(@EXPIRES / 1000, 'unixepoch'));", {
+                "@SID": sid,
+                "@KEY": key,
+                "@VALUE": JSON.stringify(value),
+                "@EXPIRES": expires || null
+            });
+        }
+        return true;
+    });
+}
+
+SQLiteStore.prototype.lock = function(sid, owner, timeout) {
+    return this.transaction(async () => {
+        // Locks are short, so their expiry is in milliseconds
+        const now = Date.now();
+        const row = await this.dbGet("SELECT owner FROM session_lock WHERE sid=@SID AND expires>@NOW;", {
+            "@SID": sid,
+            "@NOW": now
+        });
+        if (row && row.owner !== owner)
+            return false;
+        await this.run("INSERT OR REPLACE INTO session_lock VALUES (@SID, @OWNER, @EXPIRES);", {
+            "@SID": sid,
+            "@OWNER": owner,
+            "@EXPIRES": now + timeout * 1000
+        });
+        return true;
+    });
+}
+
+SQLiteStore.prototype.unlock = function(sid, owner) {
+    return this.transaction(async () => {
+        await this.run("DELETE FROM session_lock WHERE sid=@SID AND owner=@OWNER;", {
+            "@SID": sid,
+            "@OWNER": owner
+        });
+    });
+}
+
+SQLiteStore.prototype.destroy = function(sid) {
+    return this.transaction(async () => {
+        await this.run("DELETE FROM session WHERE sid=@SID;", {"@SID": sid});
+        await this.run("DELETE FROM session_lock WHERE sid=@SID;", {"@SID": sid});
+    });
+}
+
+SQLiteStore.prototype.rename = function(sid, newSID) {
+    return this.transaction(async () => {
+        const row = await this.dbGet("SELECT * FROM session WHERE sid=@SID;", {"@SID": newSID});
+        if (row)
+            return false;
+        await this.run("UPDATE session SET sid=@NEW WHERE sid=@OLD;", {
+            "@NEW": newSID,
+            "@OLD": sid
+        });
+        await this.run("UPDATE session SET value=@VALUE WHERE sid=@SID AND key='njspsessid';", {
+            "@SID": newSID,
+            "@VALUE": JSON.stringify(newSID)
+        });
+        await this.run("UPDATE session_lock SET sid=@NEW WHERE sid=@OLD;", {
+            "@NEW": newSID,
+            "@OLD": sid
+        });
+        return true;
+    });
+}
+
+SQLiteStore.prototype.cleanup = function() {
+    return this.transaction(async () => {
+        await this.run("DELETE FROM session WHERE expires<=datetime('now');");
+        await this.run("DELETE FROM session_lock WHERE expires<=@NOW;", {"@NOW": Date.now()});
+
+        // And the values of sessions that expired
+        await this.run("DELETE FROM session WHERE sid NOT IN (SELECT sid FROM session WHERE key='njspsessid');");
+    });
+}
+
+/**
+ * Session storage in memory. Used in the server process, and reached by the
+ * runners over IPC (see IPCStore). Values are kept as JSON, so that they're
+ * copied in and out, and values which expire before their session have their
+ * expiry in the session's keyExpires.
+ */
+function MemoryStore() {
+    this.sessions = new Map();
+    this.locks = new Map();
+}
+
+/**
+ * Get a session, if it exists and hasn't expired
+ * @internal
+ */
+MemoryStore.prototype.session = function(sid) {
+    const s = this.sessions.get(sid);
+    if (!s)
+        return null;
+    if (s.expires <= Date.now()) {
+        this.sessions.delete(sid);
+        return null;
+    }
+    return s;
+}
+
+/**
+ * Get a value's JSON from a session, if it exists and hasn't expired
+ * @internal
+ */
+MemoryStore.prototype.value = function(s, key) {
+    if (!s.data.has(key))
+        return null;
+    if (s.keyExpires.get(key) <= Date.now()) {
+        this.setValue(s, key, null);
+        return null;
+    }
+    return s.data.get(key);
+}
+
+/**
+ * Set (or delete) a value in a session
+ * @internal
+ */
+MemoryStore.prototype.setValue = function(s, key, value, expires) {
+    if (value === null)
+        s.data.delete(key);
+    else
+        s.data.set(key, JSON.stringify(value));
+    if (value !== null && expires)
+        s.keyExpires.set(key, expires);
+    else
+        s.keyExpires.delete(key);
+}
+
+MemoryStore.prototype.create = function(sid, expiry) {
+    if (this.session(sid))
+        return false;
+    this.sessions.set(sid, {
+        data: new Map(),
+        keyExpires: new Map(),
+        expires: Date.now() + expiry * 1000
+    });
+    return true;
+}
+
+MemoryStore.prototype.load = function(sid) {
+    const s = this.session(sid);
+    if (!s)
+        return null;
+    const data = {};
+    for (const key of Array.from(s.data.keys())) {
+        const value = this.value(s, key);
+        if (value !== null)
+            data[key] = JSON.parse(value);
+    }
+    return {data, expires: s.expires};
+}
+
+MemoryStore.prototype.save = function(sid, changes, expiry) {
+    const s = this.session(sid);
+    if (!s)
+        return;
+    for (const key of (changes.delete || []))
+        this.setValue(s, key, null);
+    for (const key in (changes.set || {}))
+        this.setValue(s, key, changes.set[key], (changes.expires || {})[key]);
+    s.expires = Date.now() + expiry * 1000;
+}
+
+MemoryStore.prototype.get = function(sid, key) {
+    const s = this.session(sid);
+    const value = s ? this.value(s, key) : null;
+    return (value === null) ? null : JSON.parse(value);
+}
+
+MemoryStore.prototype.swap = function(sid, key, expected, value, expires) {
+    const s = this.session(sid);
+    if (!s)
+        return true;
+    if (this.value(s, key) !== (expected === null ? null : JSON.stringify(expected)))
+        return false;
+    this.setValue(s, key, value, expires);
+    return true;
+}
+
+MemoryStore.prototype.lock = function(sid, owner, timeout) {
+    const l = this.locks.get(sid);
+    if (l && l.owner !== owner && l.expires > Date.now())
+        return false;
+    this.locks.set(sid, {owner, expires: Date.now() + timeout * 1000});
+    return true;
+}
+
+MemoryStore.prototype.unlock = function(sid, owner) {
+    const l = this.locks.get(sid);
+    if (l && l.owner === owner)
+        this.locks.delete(sid);
+}
+
+MemoryStore.prototype.destroy = function(sid) {
+    this.sessions.delete(sid);
+    this.locks.delete(sid);
+}
+
+MemoryStore.prototype.rename = function(sid, newSID) {
+    const s = this.session(sid);
+    if (this.session(newSID))
+        return false;
+    this.sessions.delete(sid);
+    if (s)
+        this.sessions.set(newSID, s);
+    const l = this.locks.get(sid);
+    this.locks.delete(sid);
+    if (l)
+        this.locks.set(newSID, l);
+    return true;
+}
+
+MemoryStore.prototype.cleanup = function() {
+    const now = Date.now();
+    for (const [sid, s] of this.sessions) {
+        if (s.expires <= now) {
+            this.sessions.delete(sid);
+            continue;
+        }
+        for (const [key, expires] of s.keyExpires) {
+            if (expires <= now)
+                this.setValue(s, key, null);
+        }
+    }
+    for (const [sid, l] of this.locks) {
+        if (l.expires <= now)
+            this.locks.delete(sid);
+    }
+}
+
+/**
+ * The server's memory store, created when first used
+ */
+let memoryStore = null;
+
+/**
+ * Serve a session store request from a runner, with the server's memory
+ * store
+ * @param child     The runner process
+ * @param msg       The request: {c: "s", i: ID, m: method, a: arguments}
+ */
+function serve(child, msg) {
+    if (!memoryStore) {
+        memoryStore = new MemoryStore();
+        setInterval(() => memoryStore.cleanup(), 60000).unref();
+    }
+    let ret;
+    try {
+        if (methods.indexOf(msg.m) < 0)
+            throw new Error("Unknown session store method " + msg.m);
+        ret = {c: "s", i: msg.i, r: memoryStore[msg.m].apply(memoryStore, msg.a || [])};
+    } catch (ex) {
+        ret = {c: "s", i: msg.i, e: String(ex)};
+    }
+    if (child.connected)
+        child.send(ret);
+}
+
+/**
+ * Calls to the server's memory store waiting for a reply, by ID
+ */
+const ipcCalls = {};
+let ipcCallID = 0;
+let ipcListening = false;
+
+/**
+ * Session storage in the server's memory, from a runner
+ */
+function IPCStore() {
+    if (!ipcListening) {
+        ipcListening = true;
+        process.on("message", msg => {
+            if (!msg || msg.c !== "s" || !ipcCalls[msg.i])
+                return;
+            const call = ipcCalls[msg.i];
+            delete ipcCalls[msg.i];
+            if ("e" in msg)
+                call.reject(new Error(msg.e));
+            else
+                call.resolve(msg.r);
+        });
+    }
+}
+
+for (const method of methods) {
+    IPCStore.prototype[method] = function() {
+        const args = Array.prototype.slice.call(arguments);
+        return new Promise((resolve, reject) => {
+            if (!process.send || !process.connected)
+                return reject(new Error("Not connected to the server"));
+            const i = ++ipcCallID;
+            ipcCalls[i] = {resolve, reject};
+            process.send({c: "s", i, m: method, a: args});
+        });
+    };
+}
+
+/**
+ * Derived keys for the cookie store, by secret
+ */
+const cookieKeys = {};
+
+/**
+ * Get the encryption key for a secret
+ * @internal
+ */
+function cookieKey(secret) {
+    if (!cookieKeys[secret]) {
+        cookieKeys[secret] = Buffer.from(crypto.hkdfSync("sha256", String(secret),
+            "", "nodejs-server-pages session", 32));
+    }
+    return cookieKeys[secret];
+}
+
+/**
+ * Session storage in the session cookie itself, encrypted and authenticated
+ * (AES-256-GCM), so the client can neither read nor change it.
+ * @param secret    The secret to derive the key from, or an array of
+ *                  secrets, the first of which is used for new cookies, so
+ *                  that secrets can be rotated
+ */
+function CookieStore(secret) {
+    this.keys = cookieSecrets(secret).map(cookieKey);
+    this.cookie = true;
+}
+
+/**
+ * Get the cookie store's secrets as an array, checking that there are some
+ * @internal
+ */
+function cookieSecrets(secret) {
+    const secrets = [].concat(secret || []);
+    if (!secrets.length || secrets.some(s => typeof s !== "string" || !s))
+        throw new Error("The cookie session store requires a sessionSecret, a string or an array of strings");
+    return secrets;
+}
+
+/**
+ * Encode a session into a cookie value
+ * @param {Object} state    {sid, data, expires (in milliseconds), keyExpires
+ *                          (the same, by key, for values which expire sooner)}
+ */
+CookieStore.prototype.encode = function(state) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.keys[0], iv);
+    const body = Buffer.concat([
+        cipher.update(JSON.stringify({
+            i: state.sid, d: state.data, x: state.expires, t: state.keyExpires
+        })),
+        cipher.final()
+    ]);
+    const ret = Buffer.concat([iv, cipher.getAuthTag(), body]).toString("base64url");
+    if (ret.length > maxCookieSize)
+        throw new Error("Session data is too large for a cookie");
+    return ret;
+}
+
+/**
+ * Decode a cookie value into a session, or null if it's invalid or expired
+ * @param {string} value    The cookie value
+ */
+CookieStore.prototype.decode = function(value) {
+    const buf = Buffer.from(String(value || ""), "base64url");
+    if (buf.length < 29)
+        return null;
+    for (const key of this.keys) {
+        try {
+            const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.slice(0, 12));
+            decipher.setAuthTag(buf.slice(12, 28));
+            const state = JSON.parse(Buffer.concat([
+                decipher.update(buf.slice(28)), decipher.final()
+            ]).toString("utf8"));
+            if (!state || typeof state.i !== "string" || state.x <= Date.now())
+                return null;
+
+            // Drop any values which have expired
+            const data = state.d || {};
+            const keyExpires = state.t || {};
+            for (const k in keyExpires) {
+                if (keyExpires[k] <= Date.now()) {
+                    delete data[k];
+                    delete keyExpires[k];
+                }
+            }
+            return {sid: state.i, data, expires: state.x, keyExpires};
+        } catch (ex) {}
+    }
+    return null;
+}
+
+CookieStore.prototype.cleanup = function() {}
+
+/**
+ * Store modules given by the application, once loaded
+ */
+const storeModules = {};
+
+/**
+ * Stores already made, by their options
+ */
+const stores = {};
+
+/**
+ * Get the session store for a request, making it if this is the first time
+ * it's been used
+ * @param {Object} opts     Options:
+ *      store:      "sqlite" (default), "memory", "cookie", or the name or
+ *                  path of a module exporting a function which takes these
+ *                  options and returns a store
+ *      db:         The SQLite database
+ *      secret:     The secret for the cookie store
+ *      options:    Options for a store module
+ */
+function create(opts) {
+    const key = JSON.stringify(opts);
+    if (!stores[key])
+        stores[key] = makeStore(opts);
+    return stores[key];
+}
+
+/**
+ * Check the options for a session store (as for create), so that a bad
+ * configuration is found when the server starts, rather than when a page uses
+ * the session. Throws an Error if they're no good.
+ * @param {Object} opts     Options, as for create
+ */
+function check(opts) {
+    const store = opts.store || "sqlite";
+    switch (store) {
+        case "sqlite":
+        case "memory":
+            return;
+
+        case "cookie":
+            cookieSecrets(opts.secret);
+            return;
+    }
+    if (typeof store !== "string")
+        throw new Error("The session store must be sqlite, memory, cookie, or the name or path of a module");
+    try {
+        require.resolve(store);
+    } catch (ex) {
+        throw new Error(`Session store module ${store} was not found`);
+    }
+}
+
+/**
+ * Make a session store
+ * @internal
+ */
+function makeStore(opts) {
+    switch (opts.store || "sqlite") {
+        case "sqlite":
+            return new SQLiteStore(opts.db);
+
+        case "memory":
+            return new IPCStore();
+
+        case "cookie":
+            return new CookieStore(opts.secret);
+
+        default:
+            // Loaded once, since runners forget other modules after each page
+            if (!storeModules[opts.store])
+                storeModules[opts.store] = require(opts.store);
+            return storeModules[opts.store](opts);
+    }
+}
+
+module.exports = {SQLiteStore, MemoryStore, IPCStore, CookieStore, create, check, serve};
@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Tests of the standalone HTTP server, run as `njsp --http` would be. */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+
+const server = require("./server.js");
+
+test("the session database and hidden files aren't served", async (t) => {
+    const dir = server.tmpDir(t);
+    fs.writeFileSync(path.join(dir, "index.jss"), "<?JS await session.init(); ?>ok");
+    fs.writeFileSync(path.join(dir, "public.txt"), "public");
+    fs.writeFileSync(path.join(dir, ".env"), "SECRET=1");
+    fs.mkdirSync(path.join(dir, ".git"));
+    fs.writeFileSync(path.join(dir, ".git", "config"), "secret");
+    fs.mkdirSync(path.join(dir, ".well-known"));
+    fs.writeFileSync(path.join(dir, ".well-known", "token"), "token");
+
+    const njsp = await server.start(t, dir, ["--http"]);
+
+    // Make the session database (and its journal) with a session
+    const page = await njsp.get("/");
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.body, "ok");
+    assert.ok(fs.existsSync(path.join(dir, "nodejs-server-pages.db")));
+
+    for (const hidden of [
+        "/nodejs-server-pages.db", "/nodejs-server-pages.db-wal",
+        "/nodejs-server-pages.db-shm", "/.env", "/.git/config", "/%2egit/config"
+    ]) {
+        const res = await njsp.get(hidden);
+        assert.ok(res.status === 403 || res.status === 404,
+            `${hidden} was served with status ${res.status}`);
+    }
+
+    assert.strictEqual((await njsp.get("/public.txt")).body, "public");
+    assert.strictEqual((await njsp.get("/.well-known/token")).body, "token");
+});
+
+test("a SIGTERM to the process group lets the running page finish", async (t) => {
+    const dir = server.tmpDir(t);
+    fs.writeFileSync(path.join(dir, "slow.jss"),
+        "<?JS await new Promise(res => setTimeout(res, 1000)); ?>done");
+
+    const njsp = await server.start(t, dir, ["--http"]);
+
+    // Stop everything, as systemd would, while the page is running
+    const page = njsp.get("/slow.jss");
+    await new Promise(res => setTimeout(res, 500));
+    process.kill(-njsp.proc.pid, "SIGTERM");
+
+    const res = await page;
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body, "done");
+
+    const exit = await njsp.exited;
+    assert.strictEqual(exit.signal, null, exit.stderr);
+    assert.strictEqual(exit.code, 0, exit.stderr);
+});
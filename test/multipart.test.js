@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Tests of the multipart/form-data parser. */
+
+const assert = require("assert");
+const test = require("node:test");
+
+const multipart = require("../multipart.js");
+
+/**
+ * Parse a multipart body
+ * @internal
+ * @returns {Object[]}  The parts, each with its data as a string
+ */
+function parse(boundary, body) {
+    const parts = [];
+    const parser = new multipart.Parser(boundary, {
+        part: part => parts.push(Object.assign({data: ""}, part)),
+        data: chunk => parts[parts.length - 1].data += chunk,
+        partEnd: () => {}
+    });
+    parser.write(Buffer.from(body.replace(/\n/g, "\r\n")));
+    parser.end();
+    return parts;
+}
+
+test("quoted parameters only unescape quotes and backslashes", () => {
+    assert.deepStrictEqual(
+        multipart.parseParams("form-data; name=\"a\\\"b\"; filename=\"C:\\x\\y.bin\""),
+        {name: "a\"b", filename: "C:\\x\\y.bin"});
+    assert.deepStrictEqual(
+        multipart.parseParams("form-data; name=\"a\\\\b\""),
+        {name: "a\\b"});
+});
+
+test("filenames lose their path", () => {
+    const parts = parse("XyZ",
+        "--XyZ\n" +
+        "Content-Disposition: form-data; name=\"win\"; filename=\"C:\\x\\y.bin\"\n" +
+        "Content-Type: application/octet-stream\n" +
+        "\n" +
+        "win\n" +
+        "--XyZ\n" +
+        "Content-Disposition: form-data; name=\"unix\"; filename=\"/tmp/z.txt\"\n" +
+        "\n" +
+        "unix\n" +
+        "--XyZ\n" +
+        "Content-Disposition: form-data; name=\"plain\"; filename=\"p.txt\"\n" +
+        "\n" +
+        "plain\n" +
+        "--XyZ--\n");
+
+    assert.deepStrictEqual(parts.map(p => [p.name, p.filename, p.data]), [
+        ["win", "y.bin", "win"],
+        ["unix", "z.txt", "unix"],
+        ["plain", "p.txt", "plain"]
+    ]);
+    assert.strictEqual(parts[0].type, "application/octet-stream");
+});
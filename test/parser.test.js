@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Tests of finding where JS tags end. */
+
+const assert = require("assert");
+const test = require("node:test");
+
+const parser = require("../parser.js");
+
+/**
+ * Parse a page and compile the result, to make sure the whole tag became JS
+ * @internal
+ */
+function compile(page) {
+    const code = parser.parse(page);
+    new Function("write", "s", "x", "a", "b", "f", "(async () => {" + code + "})");
+    return code;
+}
+
+test("a regex can follow a block's } or a condition's )", () => {
+    for (const page of [
+        "A<?JS if (x) {} /re?>/.test(s); ?>B",
+        "A<?JS if (x) /re?>/.test(s); ?>B",
+        "A<?JS while (x) {} /a?>/.test(s); ?>B",
+        "A<?JS const f = (a) => {}; /x?>/.test(s) ?>B",
+        "A<?JS if (x) { a = 1 } else { a = 2 } /q?>/.test(s) ?>B"
+    ]) {
+        const code = compile(page);
+        assert.ok(code.endsWith("write(\"B\");\n"), page);
+    }
+});
+
+test("a / after an expression is division", () => {
+    for (const page of [
+        "A<?JS const o = {a: 1}; write(o.a / 2); ?>B",
+        "A<?JS= (a + b) / 2 ?>B",
+        "A<?JS= {a: 4}.a / 2 ?>B",
+        "A<?JS= f(x) / 2 ?>B",
+        "A<?JS= `${a}` / 2 ?>B",
+        "A<?JS x = [1][0] / 2; ?>B",
+        "A<?JS let y = a++ / 2; ?>B",
+        "A<?JS let y = a-- / 2 / b; ?>B",
+        "A<?JS let y = f(x)[0]++ / 2; ?>B"
+    ]) {
+        const code = compile(page);
+        assert.ok(code.endsWith("write(\"B\");\n"), page);
+    }
+});
+
+test("a regex can follow a prefix ++ or --", () => {
+    compile("A<?JS let y = ++a + /x?>/.test(s); ?>B");
+    compile("A<?JS if (x) --a; /x?>/.test(s); ?>B");
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) 2020-2022 Yahweasel
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+ * SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+ * OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+ * CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/* Helpers for tests which run a real njsp server. */
+
+const cp = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Make a temporary directory, removed when the test is done
+ * @param t     The test
+ */
+function tmpDir(t) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "njsp-test-")));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+}
+
+/**
+ * Find a free TCP port
+ * @internal
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const s = http.createServer();
+        s.listen(0, "127.0.0.1", () => {
+            const port = s.address().port;
+            s.close(() => resolve(port));
+        });
+        s.on("error", reject);
+    });
+}
+
+/**
+ * Start njsp from the command line in its own process group, in the given
+ * directory, and wait until it's answering. It's killed when the test is
+ * done, if it hasn't exited.
+ * @param t     The test
+ * @param {string} dir  The directory to run in
+ * @param {string[]} args   Command-line arguments, to which --port is added
+ * @returns An object with the process (proc), port, a promise of its exit
+ *          (exited, resolving to {code, signal}), and get(path)
+ */
+async function start(t, dir, args) {
+    const port = await freePort();
+    const proc = cp.spawn(process.execPath, [
+        path.join(__dirname, "..", "njsp.js"),
+        "--port", String(port), "--ip", "127.0.0.1"
+    ].concat(args), {cwd: dir, detached: true, stdio: ["ignore", "ignore", "pipe"]});
+    let stderr = "";
+    proc.stderr.on("data", chunk => stderr += chunk);
+    const exited = new Promise(resolve => {
+        proc.on("exit", (code, signal) => resolve({code, signal, stderr}));
+    });
+    t.after(() => {
+        if (proc.exitCode === null && proc.signalCode === null) {
+            try {
+                process.kill(-proc.pid, "SIGKILL");
+            } catch (ex) {}
+        }
+        return exited;
+    });
+
+    const ret = {proc, port, exited, get: p => get(port, p)};
+
+    // Wait for it to listen
+    for (let tries = 0; ; tries++) {
+        try {
+            await get(port, "/");
+            return ret;
+        } catch (ex) {
+            if (tries >= 100)
+                throw new Error("njsp didn't start: " + stderr);
+            await new Promise(res => setTimeout(res, 100));
+        }
+    }
+}
+
+/**
+ * Make a GET request
+ * @returns {status, headers, body}, or rejects if the connection fails
+ */
+function get(port, p) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({host: "127.0.0.1", port, path: p, agent: false}, res => {
+            let body = "";
+            res.setEncoding("utf8");
+            res.on("data", chunk => body += chunk);
+            res.on("end", () => resolve({status: res.statusCode, headers: res.headers, body}));
+            res.on("error", reject);
+        });
+        req.on("error", reject);
+    });
+}
+
+module.exports = {tmpDir, start, get};
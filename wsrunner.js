@@ -17,12 +17,14 @@
 const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
 const fs = require("fs");
 const path = require("path");
-const querystring = require("querystring");
 
 const sqlite3 = require("sqlite3");
 const ws = require("ws");
 
+const bodyparser = require("./bodyparser.js");
+const request = require("./request.js");
 const session = require("./session.js");
+const sessionstore = require("./sessionstore.js");
 
 /**
  * Global no-server websocket server
@@ -117,12 +119,27 @@ function compile(fname, errDBF) {
 /**
  * The main entry point. Respond to a socket.
  */
-function run(db, req, sock) {
+function run(db, req, params, opts, sock) {
+    // Fill in the request
+    request.prepare(req, params, opts);
+
     // Create a session
-    const s = new session.Session(db, req, {setHeader: ()=>{}});
+    opts = opts || {};
+    const store = () => sessionstore.create({
+        store: opts.sessionStore,
+        db,
+        secret: opts.sessionSecret,
+        options: opts.sessionStoreOptions
+    });
+
+    // Sockets last too long to hold the session's lock by default
+    const s = new session.Session(store, req,
+        {setHeader: ()=>{}, setCookie: ()=>{}, clearCookie: ()=>{}},
+        Object.assign({}, opts.session, {lock: false}));
 
     // Parse its query string
-    req.query = querystring.parse(req.url.replace(/^[^\?]*(\?|$)/, ""));
+    req.query = bodyparser.parseQuery(req.url.replace(/^[^\?]*(\?|$)/, ""),
+        opts.nestedQuery);
 
     // Run it
     wss.handleUpgrade(req, sock, [], (ws) => {
@@ -134,12 +151,21 @@ function run(db, req, sock) {
         });
     });
 
-    // Close when we're done
-    function finish() {
-        s.close(); // No await, just let it finish in the background
+    // Close when we're done, writing back the session
+    async function finish() {
+        try {
+            await s.close();
+        } catch (ex) {
+            if (error)
+                error(ex + "\n" + ex.stack);
+        }
     }
 }
 
+// The server coordinates shutdown, so a SIGTERM sent to the whole process
+// group mustn't cut off its sockets
+process.on("SIGTERM", () => {});
+
 // Handle messages from the server
 process.on("message", (msg, sock) => {
     switch (msg.c) {
@@ -148,7 +174,7 @@ process.on("message", (msg, sock) => {
             break;
 
         case "r":
-            run(msg.d, msg.r, sock);
+            run(msg.d, msg.r, msg.p, msg.o, sock);
             break;
 
         case "t":